@@ -19,8 +19,14 @@ module.exports = {
     // Extension-specific globals
     browserCompat: 'readonly',
     TurbodocAPI: 'readonly',
+    TurbodocError: 'readonly',
     StorageManager: 'readonly',
+    BookmarkImporter: 'readonly',
+    BookmarkFileParser: 'readonly',
+    TurbodocExporter: 'readonly',
     TurbodocPopup: 'readonly',
+    TurbodocImport: 'readonly',
+    TurbodocExport: 'readonly',
     TurbodocBackground: 'readonly',
     TurbodocContent: 'readonly',
 
@@ -31,6 +37,7 @@ module.exports = {
     // Configuration globals
     SUPABASE_CONFIG: 'readonly',
     validateSupabaseConfig: 'readonly',
+    API_CONFIG: 'readonly',
     getApiUrl: 'readonly',
     validateApiConfig: 'readonly',
     SupabaseExtensionStorage: 'readonly',
@@ -19,10 +19,58 @@ class TurbodocBackground {
     this.api = new TurbodocAPI();
     this.storage = new StorageManager(browserCompat);
     this.isInitialized = false;
+    this.queueHandlers = new Map();
+    this.queueDrain = null;
+    this.pendingPopupView = null;
+    this.ALARMS = {
+      periodicSync: 'turbodoc-periodic-sync',
+      queueRetry: 'turbodoc-queue-retry',
+    };
+    this.SYNC_PERIOD_MINUTES = 5;
+    this.contextMenuUpdate = Promise.resolve();
+    this.TAG_MENU = {
+      parentId: 'save-with-tag',
+      itemPrefix: 'save-with-tag:',
+      limit: 10,
+    };
 
+    this.registerQueueHandlers();
+
+    // Upgrade stored data first; everything that reads storage waits on this
+    this.storageReady = this.storage.runMigrations();
     this.init();
   }
 
+  /**
+   * Register replay handlers for each offline queue item kind
+   */
+  registerQueueHandlers() {
+    this.registerQueueHandler('bookmark', (payload, options) =>
+      this.api.createBookmark(payload, options),
+    );
+    this.registerQueueHandler('note', (payload, options) =>
+      this.api.createNote(payload, options),
+    );
+    this.registerQueueHandler('bookmark:update', ({ id, patch }, options) =>
+      this.api.updateBookmark(id, patch, options),
+    );
+    this.registerQueueHandler('bookmark:delete', ({ id }, options) =>
+      this.api.deleteBookmark(id, options),
+    );
+    this.registerQueueHandler('note:update', ({ id, patch }, options) =>
+      this.api.updateNote(id, patch, options),
+    );
+  }
+
+  /**
+   * Register the function that replays queued items of a kind
+   * Handlers receive the item payload and request options carrying the
+   * item's idempotency key, and resolve to an API result
+   */
+  registerQueueHandler(kind, handler) {
+    this.queueHandlers.set(kind, handler);
+  }
+
   /**
    * Initialize background service
    */
@@ -35,6 +83,9 @@ class TurbodocBackground {
       // Set up event listeners first (always required)
       this.setupEventListeners();
 
+      // Nothing reads preferences or the queue until migrations finish
+      await this.storageReady;
+
       // Set up context menus immediately (critical for Chrome store)
       await this.setupContextMenus();
 
@@ -56,7 +107,7 @@ class TurbodocBackground {
       }
 
       // Set up periodic sync
-      this.setupPeriodicSync();
+      await this.setupPeriodicSync();
 
       this.isInitialized = true;
       console.log('Turbodoc background service initialized');
@@ -86,6 +137,28 @@ class TurbodocBackground {
       await this.handleContextMenuClick(info, tab);
     });
 
+    // Keep the tag submenu in step with the tag cache and default tags
+    this.storage.onTagCacheChanged(() => this.rebuildTagMenu());
+    this.storage.onPreferencesChanged(() => this.rebuildTagMenu());
+
+    // Handle keyboard shortcuts
+    browserCompat.commands.onCommand.addListener((command, tab) => {
+      this.handleCommand(command, tab);
+    });
+
+    // Alarms and connectivity events can wake a suspended service worker,
+    // so these are registered synchronously along with everything else
+    browserCompat.alarms.onAlarm.addListener((alarm) => {
+      this.handleAlarm(alarm);
+    });
+
+    if (typeof self !== 'undefined' && self.addEventListener) {
+      self.addEventListener('online', () => {
+        console.log('Back online, processing offline queue');
+        this.syncWhenReady();
+      });
+    }
+
     // Handle browser startup (Chrome only)
     if (browserCompat.isChrome && chrome.runtime.onStartup) {
       chrome.runtime.onStartup.addListener(() => {
@@ -112,6 +185,7 @@ class TurbodocBackground {
       if (this.api.isAuthenticated()) {
         // Update badge to show authenticated status
         await this.updateBadge();
+        await this.refreshTagCache();
 
         console.log('User authenticated:', this.api.getCurrentUser()?.email);
       }
@@ -122,8 +196,26 @@ class TurbodocBackground {
 
   /**
    * Set up context menus
+   * Menu changes run one at a time so a setup can't interleave its removeAll
+   * and create calls with another setup or a tag menu rebuild
+   */
+  setupContextMenus() {
+    return this.queueContextMenuUpdate(() => this.createContextMenus());
+  }
+
+  /**
+   * Run a context menu change after the ones already queued
+   */
+  queueContextMenuUpdate(fn) {
+    const result = this.contextMenuUpdate.then(fn, fn);
+    this.contextMenuUpdate = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Replace every context menu item
    */
-  async setupContextMenus() {
+  async createContextMenus() {
     try {
       // Check if contextMenus API is available
       if (!browserCompat.contextMenus) {
@@ -168,6 +260,46 @@ class TurbodocBackground {
         // Don't throw here - main menu is more important
       }
 
+      // Create selection context menu
+      try {
+        await browserCompat.contextMenus.create({
+          id: 'save-selection-to-turbodoc',
+          title: 'Save Selection as Note',
+          contexts: ['selection'],
+          documentUrlPatterns: ['http://*/*', 'https://*/*'],
+        });
+        console.log('Selection context menu created');
+      } catch (selectionError) {
+        console.error(
+          'Failed to create selection context menu:',
+          selectionError,
+        );
+      }
+
+      // Create tab batch context menus
+      try {
+        await browserCompat.contextMenus.create({
+          id: 'save-window-tabs',
+          title: 'Save All Tabs in Window',
+          contexts: ['page'],
+          documentUrlPatterns: ['http://*/*', 'https://*/*'],
+        });
+
+        if (browserCompat.tabGroups) {
+          await browserCompat.contextMenus.create({
+            id: 'save-tab-group',
+            title: 'Save This Tab Group',
+            contexts: ['page'],
+            documentUrlPatterns: ['http://*/*', 'https://*/*'],
+          });
+        }
+        console.log('Tab context menus created');
+      } catch (tabsError) {
+        console.error('Failed to create tab context menus:', tabsError);
+      }
+
+      await this.createTagMenu();
+
       console.log('Context menus setup completed successfully');
     } catch (error) {
       console.error('Failed to setup context menus:', error);
@@ -186,10 +318,92 @@ class TurbodocBackground {
     }
   }
 
+  /**
+   * Create the "Save with Tag" submenu from default and most-used tags
+   */
+  async createTagMenu() {
+    const tags = await this.getTagMenuTags();
+    if (tags.length === 0) {
+      return;
+    }
+
+    try {
+      await browserCompat.contextMenus.create({
+        id: this.TAG_MENU.parentId,
+        title: 'Save with Tag',
+        contexts: ['page', 'link'],
+        documentUrlPatterns: ['http://*/*', 'https://*/*'],
+      });
+
+      for (const tag of tags) {
+        await browserCompat.contextMenus.create({
+          id: `${this.TAG_MENU.itemPrefix}${tag}`,
+          parentId: this.TAG_MENU.parentId,
+          title: tag,
+          contexts: ['page', 'link'],
+          documentUrlPatterns: ['http://*/*', 'https://*/*'],
+        });
+      }
+    } catch (error) {
+      console.error('Failed to create tag context menu:', error);
+    }
+  }
+
+  /**
+   * Rebuild only the tag submenu, leaving the other items in place
+   */
+  rebuildTagMenu() {
+    return this.queueContextMenuUpdate(async () => {
+      try {
+        // Removing the parent removes its items too
+        await browserCompat.contextMenus.remove(this.TAG_MENU.parentId);
+      } catch (error) {
+        // The submenu is missing when there were no tags to list
+      }
+      await this.createTagMenu();
+    });
+  }
+
+  /**
+   * Tags for the submenu: default tags first, then cached tags by usage
+   */
+  async getTagMenuTags() {
+    const [preferences, tagCache] = await Promise.all([
+      this.storage.getPreferences(),
+      this.storage.getTagCache(),
+    ]);
+
+    // Tags may carry a usage count; the sort is stable so the API order
+    // decides between equal counts
+    const cachedTags = [...tagCache.data.tags]
+      .sort((a, b) => (b.count || 0) - (a.count || 0))
+      .map((tagData) => (typeof tagData === 'string' ? tagData : tagData.tag));
+
+    return [...new Set([...preferences.data.defaultTags, ...cachedTags])]
+      .filter(Boolean)
+      .slice(0, this.TAG_MENU.limit);
+  }
+
+  /**
+   * Fetch the user's tags into the shared tag cache
+   */
+  async refreshTagCache() {
+    try {
+      const result = await this.api.getUserTags();
+      if (result.success) {
+        await this.storage.setTagCache(result.data);
+      }
+    } catch (error) {
+      console.warn('Failed to refresh tags:', error);
+    }
+  }
+
   /**
    * Handle messages from other parts of the extension
    */
   async handleMessage(message, _sender) {
+    await this.storageReady;
+
     switch (message.type) {
       case 'GET_AUTH_STATUS':
         return {
@@ -204,8 +418,17 @@ class TurbodocBackground {
       case 'BOOKMARK_SAVED':
         await this.updateBadge();
         await this.processOfflineQueue();
+        await this.refreshTagCache();
         return { success: true };
 
+      case 'GET_PENDING_POPUP_VIEW': {
+        // Views requested by a shortcut expire so a later popup opens normally
+        const pending = this.pendingPopupView;
+        this.pendingPopupView = null;
+        const isFresh = pending && Date.now() - pending.requestedAt < 5000;
+        return { view: isFresh ? pending.view : null };
+      }
+
       case 'GET_CURRENT_TAB': {
         const tabs = await browserCompat.tabs.query({
           active: true,
@@ -214,10 +437,37 @@ class TurbodocBackground {
         return { tab: tabs[0] || null };
       }
 
-      case 'PROCESS_OFFLINE_QUEUE':
-        await this.processOfflineQueue();
+      case 'QUEUE_CHANGED':
+        await this.updateBadge();
         return { success: true };
 
+      case 'SAVE_TABS': {
+        let summary;
+        if (message.scope === 'group') {
+          summary = await this.saveTabGroup(message.groupId);
+        } else if (message.scope === 'tabs') {
+          summary = await this.saveTabs(message.tabs, message.tags || []);
+        } else {
+          summary = await this.saveWindowTabs(message.windowId);
+        }
+        if (!summary) {
+          return { success: false, error: 'No tabs were saved' };
+        }
+        return {
+          success: true,
+          data: summary,
+          message: this.describeSaveTabsSummary(summary),
+        };
+      }
+
+      case 'PROCESS_OFFLINE_QUEUE': {
+        const summary = await this.processOfflineQueue({
+          force: message.force === true,
+          itemIds: message.itemIds || null,
+        });
+        return { success: true, data: summary };
+      }
+
       default:
         console.warn('Unknown message type:', message.type);
         return { error: 'Unknown message type' };
@@ -228,7 +478,27 @@ class TurbodocBackground {
    * Handle context menu clicks
    */
   async handleContextMenuClick(info, tab) {
+    if (info.menuItemId === 'save-selection-to-turbodoc') {
+      await this.saveSelectionAsNote(tab, info.selectionText);
+      return;
+    }
+
+    const savesTabs =
+      info.menuItemId === 'save-window-tabs' ||
+      info.menuItemId === 'save-tab-group';
+
     try {
+      // The window or group may have closed since the menu was opened
+      if (info.menuItemId === 'save-window-tabs') {
+        await this.saveWindowTabs(tab.windowId);
+        return;
+      }
+
+      if (info.menuItemId === 'save-tab-group') {
+        await this.saveTabGroup(tab.groupId);
+        return;
+      }
+
       // Check if user is authenticated
       if (!this.api.isAuthenticated()) {
         // Create notification or show popup
@@ -240,11 +510,14 @@ class TurbodocBackground {
       }
 
       let bookmarkData;
+      const tag = this.getMenuItemTag(info.menuItemId);
+      const tags = tag ? [tag] : [];
 
       if (
         (info.menuItemId === 'save-link-to-turbodoc' ||
           info.menuItemId === 'save-to-turbodoc-fallback' ||
-          info.menuItemId === 'save-to-turbodoc-immediate') &&
+          info.menuItemId === 'save-to-turbodoc-immediate' ||
+          tag) &&
         info.linkUrl
       ) {
         // Save the clicked link
@@ -252,10 +525,7 @@ class TurbodocBackground {
           title: info.selectionText || info.linkUrl,
           url: info.linkUrl,
           contentType: 'link',
-          notes: info.selectionText
-            ? `From: ${tab.title}\n\nSelected text: ${info.selectionText}`
-            : `From: ${tab.title}`,
-          tags: [],
+          tags,
         };
       } else {
         // Save the current page
@@ -263,15 +533,15 @@ class TurbodocBackground {
           title: tab.title || tab.url,
           url: tab.url,
           contentType: 'link',
-          notes: info.selectionText
-            ? `Selected text: ${info.selectionText}`
-            : '',
-          tags: [],
+          tags,
         };
       }
 
-      // Try to save the bookmark
-      const result = await this.api.createBookmark(bookmarkData);
+      // Try to save the bookmark, keeping the key in case it has to be queued
+      const idempotencyKey = crypto.randomUUID();
+      const result = await this.api.createBookmark(bookmarkData, {
+        idempotencyKey,
+      });
 
       if (result.success) {
         await this.showNotification(
@@ -280,24 +550,355 @@ class TurbodocBackground {
         );
         await this.updateBadge();
       } else {
-        // Save to offline queue if network error
-        if (
-          result.error.includes('Network') ||
-          result.error.includes('Server')
-        ) {
-          await this.storage.addToOfflineQueue(bookmarkData);
+        // Save to offline queue if the failure is transient
+        if (result.error?.retryable) {
+          await this.storage.addToOfflineQueue(
+            bookmarkData,
+            'bookmark',
+            idempotencyKey,
+          );
           await this.showNotification(
             'Saved Offline',
             'Bookmark will sync when connection is restored',
           );
         } else {
-          await this.showNotification('Error', result.error);
+          await this.showNotification('Error', result.error.message);
         }
       }
     } catch (error) {
       console.error('Context menu error:', error);
-      await this.showNotification('Error', 'Failed to save bookmark');
+      await this.showNotification(
+        'Error',
+        savesTabs ? 'Failed to save tabs' : 'Failed to save bookmark',
+      );
+    }
+  }
+
+  /**
+   * Get the tag a "Save with Tag" item saves with, or null for other items
+   */
+  getMenuItemTag(menuItemId) {
+    const id = String(menuItemId);
+    if (!id.startsWith(this.TAG_MENU.itemPrefix)) {
+      return null;
     }
+    return id.slice(this.TAG_MENU.itemPrefix.length);
+  }
+
+  /**
+   * Handle keyboard shortcuts declared under "commands" in the manifests
+   */
+  async handleCommand(command, tab) {
+    // Opening the popup must happen before any await so the shortcut still
+    // counts as a user action
+    if (command === 'open-note-form') {
+      this.openPopupOnView('note');
+      return;
+    }
+
+    const activeTab =
+      tab ||
+      (
+        await browserCompat.tabs.query({ active: true, currentWindow: true })
+      )[0];
+    if (!activeTab) {
+      return;
+    }
+
+    switch (command) {
+      case 'save-page':
+        await this.handleContextMenuClick(
+          { menuItemId: 'save-to-turbodoc' },
+          activeTab,
+        );
+        break;
+
+      case 'save-selection-as-note':
+        await this.saveSelectionAsNote(activeTab);
+        break;
+
+      default:
+        console.warn('Unknown command:', command);
+    }
+  }
+
+  /**
+   * Open the popup on a specific view (e.g. 'note')
+   * Browsers that cannot open the popup from a shortcut get a notification
+   * instead, so the shortcut never fails silently
+   */
+  openPopupOnView(view) {
+    this.pendingPopupView = { view, requestedAt: Date.now() };
+    browserCompat.action.openPopup().catch((error) => {
+      console.warn('Failed to open popup:', error);
+      // Restart the pending view so a prompt toolbar click still opens it
+      this.pendingPopupView = { view, requestedAt: Date.now() };
+      this.showNotification(
+        'Turbodoc could not open from the shortcut',
+        'Click the Turbodoc toolbar button to continue',
+      );
+    });
+  }
+
+  /**
+   * Save the text selected in a tab as a note quoting its source
+   * The selection is read from the content script unless it is passed in.
+   * The note links back to the passage with a text fragment.
+   */
+  async saveSelectionAsNote(tab, selectionText = null) {
+    if (!this.api.isAuthenticated()) {
+      await this.showNotification(
+        'Please sign in to Turbodoc first',
+        'Sign in by clicking the Turbodoc extension icon',
+      );
+      return;
+    }
+
+    let text = selectionText;
+    if (!text) {
+      try {
+        const response = await browserCompat.tabs.sendMessage(tab.id, {
+          type: 'GET_SELECTED_TEXT',
+        });
+        text = response?.selectedText;
+      } catch (error) {
+        console.warn('Could not read selection from page:', error);
+      }
+    }
+
+    if (!text) {
+      await this.showNotification(
+        'Nothing selected',
+        'Select some text on the page first',
+      );
+      return;
+    }
+
+    const pageTitle = tab.title || tab.url;
+    const quote = text
+      .trim()
+      .split('\n')
+      .map((line) => `> ${line}`)
+      .join('\n');
+    const noteData = {
+      title: `Quote from ${pageTitle}`,
+      content: [
+        quote,
+        `— [${pageTitle}](${this.getTextFragmentUrl(tab.url, text)})`,
+        `Source: ${tab.url}`,
+      ].join('\n\n'),
+    };
+
+    try {
+      const idempotencyKey = crypto.randomUUID();
+      const result = await this.api.createNote(noteData, { idempotencyKey });
+
+      if (result.success) {
+        await this.confirmInPage(tab, 'Note saved to Turbodoc', 'Note Saved!');
+      } else if (result.error?.retryable) {
+        await this.storage.addToOfflineQueue(noteData, 'note', idempotencyKey);
+        await this.updateBadge();
+        await this.confirmInPage(
+          tab,
+          'Note saved offline, will sync later',
+          'Saved Offline',
+        );
+      } else {
+        await this.showNotification('Error', result.error.message);
+      }
+    } catch (error) {
+      console.error('Save selection error:', error);
+      await this.showNotification('Error', 'Failed to save note');
+    }
+  }
+
+  /**
+   * Build a URL that scrolls to and highlights the quoted passage
+   * Long passages use a textStart,textEnd range to keep the URL short
+   */
+  getTextFragmentUrl(url, text) {
+    const words = text.trim().split(/\s+/);
+    const encode = (part) => encodeURIComponent(part).replace(/-/g, '%2D');
+
+    const directive =
+      words.length > 10
+        ? `${encode(words.slice(0, 5).join(' '))},${encode(words.slice(-5).join(' '))}`
+        : encode(words.join(' '));
+
+    return `${url.split('#')[0]}#:~:text=${directive}`;
+  }
+
+  /**
+   * Confirm a save with the in-page toast, falling back to a notification
+   * when the content script isn't available (e.g. on restricted pages)
+   */
+  async confirmInPage(tab, message, notificationTitle) {
+    try {
+      const preferences = await this.storage.getPreferences();
+      await browserCompat.tabs.sendMessage(tab.id, {
+        type: 'HIGHLIGHT_SAVED',
+        message,
+        theme: preferences.data.theme,
+      });
+    } catch (error) {
+      await this.showNotification(notificationTitle, message);
+    }
+  }
+
+  /**
+   * Save every tab in a window
+   */
+  async saveWindowTabs(windowId) {
+    const query =
+      windowId === undefined ? { currentWindow: true } : { windowId };
+    const tabs = await browserCompat.tabs.query(query);
+    return this.saveTabs(tabs);
+  }
+
+  /**
+   * Save every tab in a tab group, tagged with the group's title
+   */
+  async saveTabGroup(groupId) {
+    // Ungrouped tabs report a group id of -1
+    if (!browserCompat.tabGroups || !(groupId >= 0)) {
+      await this.showNotification(
+        'No Tab Group',
+        'This tab is not part of a tab group',
+      );
+      return null;
+    }
+
+    const group = await browserCompat.tabGroups.get(groupId);
+    const tabs = await browserCompat.tabs.query({ groupId });
+    const title = group.title?.trim();
+    return this.saveTabs(tabs, title ? [title] : []);
+  }
+
+  /**
+   * Save tabs as bookmarks with shared tags
+   * Non-web tabs and repeated URLs are skipped, and transient failures are
+   * queued offline. Each tab's outcome is broadcast as a SAVE_TABS_PROGRESS
+   * message and returned in the summary's results.
+   */
+  async saveTabs(tabs, tags = []) {
+    if (!this.api.isAuthenticated()) {
+      await this.showNotification(
+        'Please sign in to Turbodoc first',
+        'Sign in by clicking the Turbodoc extension icon',
+      );
+      return null;
+    }
+
+    const urls = new Set();
+    const bookmarks = [];
+    for (const tab of tabs) {
+      if (!this.isSaveableUrl(tab.url) || urls.has(tab.url)) {
+        continue;
+      }
+      urls.add(tab.url);
+      bookmarks.push({
+        title: tab.title || tab.url,
+        url: tab.url,
+        contentType: 'link',
+        tags,
+      });
+    }
+
+    const summary = {
+      total: bookmarks.length,
+      saved: 0,
+      queued: 0,
+      failed: 0,
+      skipped: tabs.length - bookmarks.length,
+      results: [],
+    };
+
+    const result = await this.api.createBookmarks(bookmarks, {
+      onProgress: (entry, completed, total) => {
+        browserCompat.runtime
+          .sendMessage({
+            type: 'SAVE_TABS_PROGRESS',
+            completed,
+            total,
+            url: entry.bookmark.url,
+            status: this.getSaveTabStatus(entry),
+          })
+          .catch(() => {
+            // No popup is listening
+          });
+      },
+    });
+
+    for (const entry of result.data) {
+      const status = this.getSaveTabStatus(entry);
+      if (status === 'queued') {
+        await this.storage.addToOfflineQueue(
+          entry.bookmark,
+          'bookmark',
+          entry.idempotencyKey,
+        );
+      } else if (status === 'failed') {
+        console.warn(`Failed to save ${entry.bookmark.url}:`, entry.error);
+      }
+
+      summary[status]++;
+      summary.results.push({
+        url: entry.bookmark.url,
+        status,
+        error: entry.error?.message || null,
+      });
+    }
+
+    // Context menu saves have no other place to report partial failures
+    await this.showNotification(
+      summary.failed > 0 ? 'Some Tabs Were Not Saved' : 'Tabs Saved',
+      this.describeSaveTabsSummary(summary),
+    );
+    await this.updateBadge();
+    if (tags.length > 0 && summary.saved > 0) {
+      await this.refreshTagCache();
+    }
+
+    return summary;
+  }
+
+  /**
+   * Classify a batch save result as saved, queued for retry or failed
+   */
+  getSaveTabStatus(entry) {
+    if (entry.success) {
+      return 'saved';
+    }
+    return entry.error?.retryable ? 'queued' : 'failed';
+  }
+
+  /**
+   * Check whether a tab's URL can be saved as a bookmark
+   */
+  isSaveableUrl(url) {
+    try {
+      const { protocol } = new URL(url);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Summarize a batch tab save for notifications and the popup
+   */
+  describeSaveTabsSummary(summary) {
+    const parts = [`${summary.saved} of ${summary.total} tabs saved`];
+    if (summary.queued > 0) {
+      parts.push(`${summary.queued} queued offline`);
+    }
+    if (summary.failed > 0) {
+      parts.push(`${summary.failed} failed`);
+    }
+    if (summary.skipped > 0) {
+      parts.push(`${summary.skipped} skipped`);
+    }
+    return parts.join(', ');
   }
 
   /**
@@ -308,6 +909,9 @@ class TurbodocBackground {
       // First time installation
       console.log('Turbodoc extension installed');
 
+      // Record the current storage schema version
+      await this.storageReady;
+
       // Immediately set up context menus on install
       try {
         await this.setupContextMenus();
@@ -324,6 +928,9 @@ class TurbodocBackground {
         `Turbodoc extension updated to ${chrome.runtime.getManifest().version}`,
       );
 
+      // Wait for the stored data upgrade started at startup
+      await this.storageReady;
+
       // Ensure context menus are still set up after update
       try {
         await this.setupContextMenus();
@@ -347,6 +954,7 @@ class TurbodocBackground {
   async handleLogout() {
     try {
       await this.api.logout();
+      await this.storage.clearTagCache();
 
       // Clear badge
       await browserCompat.action.setBadgeText({ text: '' });
@@ -358,80 +966,227 @@ class TurbodocBackground {
   }
 
   /**
-   * Process offline bookmark queue
+   * Process offline queue
+   * Only one drain runs at a time: unforced callers share the running drain,
+   * forced callers wait for it to finish and then start their own
    */
-  async processOfflineQueue() {
+  async processOfflineQueue(options = {}) {
+    while (this.queueDrain) {
+      if (!options.force) {
+        return this.queueDrain;
+      }
+      await this.queueDrain;
+    }
+
+    this.queueDrain = this.drainOfflineQueue(options).finally(() => {
+      this.queueDrain = null;
+    });
+    return this.queueDrain;
+  }
+
+  /**
+   * Replay queued items through their registered handlers
+   * Items whose kind has no registered handler are left in the queue.
+   * Pass itemIds to replay only those items.
+   */
+  async drainOfflineQueue({ force = false, itemIds = null } = {}) {
+    const summary = { total: 0, processed: 0, failed: 0, deadLettered: 0 };
+
     if (!this.api.isAuthenticated()) {
-      return;
+      return summary;
     }
 
     try {
       const queueResult = await this.storage.getOfflineQueue();
       if (!queueResult.success || queueResult.data.length === 0) {
-        return;
+        return summary;
       }
 
-      const queue = queueResult.data;
-      let processedCount = 0;
-      let failedCount = 0;
+      // Respect the backoff schedule unless the user asked to sync now
+      const now = Date.now();
+      const queue = queueResult.data.filter(
+        (item) =>
+          (!itemIds || itemIds.includes(item.id)) &&
+          (force || !item.nextAttemptAt || item.nextAttemptAt <= now),
+      );
+      summary.total = queue.length;
 
       for (const item of queue) {
+        const handler = this.queueHandlers.get(item.kind);
+        if (!handler) {
+          console.warn(`No handler for offline item kind "${item.kind}"`);
+          continue;
+        }
+
+        // Send the stored copy, which holds any edit made since the queue
+        // was read, and keep it from being edited while it is in flight
+        const claim = await this.storage.setOfflineQueueItemSending(item.id);
+        if (!claim.success) {
+          continue;
+        }
+        if (!claim.data) {
+          // Discarded since the queue was read
+          summary.total--;
+          continue;
+        }
+
+        this.reportQueueProgress(summary, item.id);
+
+        let error;
         try {
-          const result = await this.api.createBookmark(item);
+          const result = await handler(claim.data.payload, {
+            idempotencyKey: String(item.id),
+          });
 
           if (result.success) {
             await this.storage.removeFromOfflineQueue(item.id);
-            processedCount++;
-          } else {
-            failedCount++;
+            summary.processed++;
+            continue;
           }
-        } catch (error) {
-          console.error('Failed to process offline item:', error);
-          failedCount++;
+          error = result.error;
+        } catch (thrown) {
+          console.error('Failed to process offline item:', thrown);
+          error = TurbodocError.from(thrown);
+        }
+
+        // Signed out mid-sync: stop without counting it against the items
+        if (error?.code === 'UNAUTHORIZED') {
+          await this.storage.setOfflineQueueItemSending(item.id, false);
+          break;
+        }
+
+        summary.failed++;
+        const failure = await this.storage.recordOfflineQueueFailure(
+          item.id,
+          error,
+        );
+        if (failure.success && failure.data.deadLettered) {
+          summary.deadLettered++;
         }
       }
 
-      if (processedCount > 0) {
-        console.log(`Processed ${processedCount} offline bookmarks`);
-        await this.updateBadge();
+      this.reportQueueProgress(summary, null);
+
+      if (summary.processed > 0) {
+        console.log(`Processed ${summary.processed} offline items`);
 
         // Show notification if significant number processed
-        if (processedCount > 1) {
+        if (summary.processed > 1) {
           await this.showNotification(
             'Sync Complete',
-            `${processedCount} offline bookmarks synced`,
+            `${summary.processed} offline items synced`,
           );
         }
       }
 
-      if (failedCount > 0) {
-        console.warn(`Failed to process ${failedCount} offline bookmarks`);
+      if (summary.failed > 0) {
+        console.warn(`Failed to process ${summary.failed} offline items`);
+      }
+
+      if (summary.deadLettered > 0) {
+        await this.showNotification(
+          'Some items could not be saved',
+          `${summary.deadLettered} offline item${summary.deadLettered === 1 ? '' : 's'} need your attention. Open Turbodoc to review.`,
+        );
       }
+
+      await this.updateBadge();
+      await this.scheduleQueueRetry();
     } catch (error) {
       console.error('Error processing offline queue:', error);
     }
+
+    return summary;
+  }
+
+  /**
+   * Broadcast queue sync progress to any open popup
+   * currentItemId is null once the run has finished
+   */
+  reportQueueProgress(summary, currentItemId) {
+    browserCompat.runtime
+      .sendMessage({
+        type: 'OFFLINE_QUEUE_PROGRESS',
+        ...summary,
+        currentItemId,
+      })
+      .catch(() => {
+        // No popup is listening
+      });
   }
 
   /**
    * Set up periodic sync for offline items
+   * Alarms survive service worker shutdowns; the schedule is only created
+   * when missing so restarts don't keep pushing the next run back
    */
-  setupPeriodicSync() {
-    // Process offline queue every 5 minutes when online
-    setInterval(
-      async () => {
-        if (navigator.onLine && this.api.isAuthenticated()) {
-          await this.processOfflineQueue();
-        }
-      },
-      5 * 60 * 1000,
-    ); // 5 minutes
+  async setupPeriodicSync() {
+    try {
+      const existing = await browserCompat.alarms.get(this.ALARMS.periodicSync);
+      if (!existing) {
+        await browserCompat.alarms.create(this.ALARMS.periodicSync, {
+          delayInMinutes: this.SYNC_PERIOD_MINUTES,
+          periodInMinutes: this.SYNC_PERIOD_MINUTES,
+        });
+      }
+    } catch (error) {
+      console.error('Failed to schedule periodic sync:', error);
+    }
+  }
 
-    // Listen for online/offline events
-    if (typeof window !== 'undefined') {
-      window.addEventListener('online', () => {
-        console.log('Back online, processing offline queue');
-        this.processOfflineQueue();
-      });
+  /**
+   * Handle alarms scheduled by this extension
+   */
+  async handleAlarm(alarm) {
+    if (
+      alarm.name === this.ALARMS.periodicSync ||
+      alarm.name === this.ALARMS.queueRetry
+    ) {
+      await this.syncWhenReady();
+    }
+  }
+
+  /**
+   * Drain the offline queue once auth is restored and the browser is online
+   */
+  async syncWhenReady() {
+    if (!navigator.onLine) {
+      return;
+    }
+
+    try {
+      // A freshly woken worker may not have restored the session yet
+      await this.api.init();
+      if (this.api.isAuthenticated()) {
+        await this.processOfflineQueue();
+        await this.refreshTagCache();
+      }
+    } catch (error) {
+      console.warn('Scheduled sync failed:', error);
+    }
+  }
+
+  /**
+   * Schedule a one-off alarm for the earliest queued retry that falls
+   * before the next periodic sync
+   */
+  async scheduleQueueRetry() {
+    try {
+      const queueResult = await this.storage.getOfflineQueue();
+      const nextAttempts = queueResult.data
+        .map((item) => item.nextAttemptAt)
+        .filter(Boolean);
+
+      if (nextAttempts.length === 0) {
+        await browserCompat.alarms.clear(this.ALARMS.queueRetry);
+        return;
+      }
+
+      // Browsers don't fire alarms sooner than 30 seconds out
+      const when = Math.max(Math.min(...nextAttempts), Date.now() + 30 * 1000);
+      await browserCompat.alarms.create(this.ALARMS.queueRetry, { when });
+    } catch (error) {
+      console.warn('Failed to schedule queue retry:', error);
     }
   }
 
@@ -449,6 +1204,12 @@ class TurbodocBackground {
       const queueResult = await this.storage.getOfflineQueue();
       const offlineCount = queueResult.success ? queueResult.data.length : 0;
 
+      // Check for items that failed permanently
+      const deadLetterResult = await this.storage.getDeadLetterQueue();
+      const deadLetterCount = deadLetterResult.success
+        ? deadLetterResult.data.length
+        : 0;
+
       if (offlineCount > 0) {
         await browserCompat.action.setBadgeText({
           text: offlineCount.toString(),
@@ -456,6 +1217,11 @@ class TurbodocBackground {
         await browserCompat.action.setBadgeBackgroundColor({
           color: '#f59e0b',
         }); // Orange for offline
+      } else if (deadLetterCount > 0) {
+        await browserCompat.action.setBadgeText({ text: '!' });
+        await browserCompat.action.setBadgeBackgroundColor({
+          color: '#ef4444',
+        }); // Red for items needing attention
       } else {
         await browserCompat.action.setBadgeText({ text: '' });
       }
@@ -467,20 +1233,20 @@ class TurbodocBackground {
   /**
    * Show notification to user
    */
-  showNotification(title, message, type = 'basic') {
+  async showNotification(title, message, type = 'basic') {
     try {
-      // Check if notifications are supported
-      if (typeof chrome !== 'undefined' && chrome.notifications) {
-        chrome.notifications.create({
-          type: type,
-          iconUrl: '../icons/icon-48.png',
-          title: title,
-          message: message,
-        });
-      } else {
-        // Fallback: log to console
-        console.log(`Notification: ${title} - ${message}`);
+      // Respect the user's notification preference
+      const preferences = await this.storage.getPreferences();
+      if (!preferences.data.showNotifications) {
+        return;
       }
+
+      await browserCompat.notifications.create({
+        type: type,
+        iconUrl: browserCompat.runtime.getURL('icons/icon-48.png'),
+        title: title,
+        message: message,
+      });
     } catch (error) {
       console.error('Failed to show notification:', error);
     }
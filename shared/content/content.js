@@ -51,7 +51,8 @@ class TurbodocContent {
       });
     } else if (typeof browser !== 'undefined' && browser.runtime) {
       browser.runtime.onMessage.addListener((message, sender) => {
-        return this.handleMessage(message, sender);
+        // Firefox only sends a response for returned promises
+        return Promise.resolve(this.handleMessage(message, sender));
       });
     }
   }
@@ -100,9 +101,18 @@ class TurbodocContent {
         return contentResponse;
       }
 
-      case 'HIGHLIGHT_SAVED':
-        this.showSaveConfirmation();
-        break;
+      case 'HIGHLIGHT_SAVED': {
+        this.showSaveConfirmation({
+          theme: message.theme,
+          message: message.message,
+        });
+
+        const savedResponse = { success: true };
+        if (sendResponse) {
+          sendResponse(savedResponse);
+        }
+        return savedResponse;
+      }
 
       default:
         console.warn('Unknown message type:', message.type);
@@ -468,18 +478,48 @@ class TurbodocContent {
     window.addEventListener('hashchange', onUrlChange);
   }
 
+  /**
+   * Resolve a theme preference ('light', 'dark' or 'system') for this page
+   */
+  resolveTheme(theme) {
+    if (theme === 'light' || theme === 'dark') {
+      return theme;
+    }
+    return window.matchMedia?.('(prefers-color-scheme: dark)').matches
+      ? 'dark'
+      : 'light';
+  }
+
   /**
    * Show save confirmation (visual feedback)
+   * Colors follow the theme sent with the message, or the system theme
    */
-  showSaveConfirmation() {
+  showSaveConfirmation({
+    theme = 'system',
+    message = 'Saved to Turbodoc',
+  } = {}) {
+    const palettes = {
+      light: {
+        background: '#10b981',
+        foreground: '#ffffff',
+        accent: '#10b981',
+      },
+      dark: { background: '#0a0a0a', foreground: '#fafafa', accent: '#34d399' },
+    };
+    const palette = palettes[this.resolveTheme(theme)];
+
     // Create a temporary notification
     const notification = document.createElement('div');
-    notification.style.cssText = `
+    notification.style.setProperty('--turbodoc-toast-bg', palette.background);
+    notification.style.setProperty('--turbodoc-toast-fg', palette.foreground);
+    notification.style.setProperty('--turbodoc-toast-accent', palette.accent);
+    notification.style.cssText += `
       position: fixed;
       top: 20px;
       right: 20px;
-      background: #10b981;
-      color: white;
+      background: var(--turbodoc-toast-bg);
+      color: var(--turbodoc-toast-fg);
+      border: 1px solid var(--turbodoc-toast-accent);
       padding: 12px 16px;
       border-radius: 6px;
       font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
@@ -490,7 +530,7 @@ class TurbodocContent {
       transition: all 0.3s ease;
       transform: translateX(100%);
     `;
-    notification.textContent = '✓ Saved to Turbodoc';
+    notification.textContent = `✓ ${message}`;
 
     document.body.appendChild(notification);
 
@@ -3,12 +3,117 @@
  * Manages authentication and API communication using Supabase
  */
 
+/**
+ * Error raised by the Turbodoc API client
+ * Carries a stable code so callers never depend on message wording
+ */
+class TurbodocError extends Error {
+  constructor(code, options = {}) {
+    super(options.message || TurbodocError.getMessage(code));
+    this.name = 'TurbodocError';
+    this.code = code;
+    this.status = options.status ?? null;
+    this.retryable = options.retryable ?? TurbodocError.isRetryableCode(code);
+    this.retryAfter = options.retryAfter ?? null;
+    this.cause = options.cause;
+  }
+
+  /**
+   * Convert error codes to user-friendly messages
+   */
+  static getMessage(code) {
+    const errorMessages = {
+      UNAUTHORIZED: 'Please sign in to continue',
+      FORBIDDEN: 'Access denied',
+      NOT_FOUND: 'Resource not found',
+      RATE_LIMITED: 'Too many requests. Please try again shortly',
+      SERVER_ERROR: 'Server error. Please try again later',
+      NETWORK_ERROR: 'Network error. Please check your connection',
+      TIMEOUT: 'Request timeout. Please try again',
+      CONFIG_ERROR: 'Extension is not configured correctly',
+    };
+
+    return errorMessages[code] || 'An unexpected error occurred';
+  }
+
+  /**
+   * Transient failures that may succeed when retried later
+   */
+  static isRetryableCode(code) {
+    return [
+      'NETWORK_ERROR',
+      'TIMEOUT',
+      'SERVER_ERROR',
+      'RATE_LIMITED',
+    ].includes(code);
+  }
+
+  /**
+   * Build an error from a non-OK HTTP status
+   * The server message is only surfaced for otherwise unmapped statuses
+   */
+  static fromStatus(status, { message, retryAfter = null } = {}) {
+    const codes = {
+      401: 'UNAUTHORIZED',
+      403: 'FORBIDDEN',
+      404: 'NOT_FOUND',
+      429: 'RATE_LIMITED',
+    };
+
+    if (codes[status]) {
+      return new TurbodocError(codes[status], { status, retryAfter });
+    }
+    if (status >= 500) {
+      return new TurbodocError('SERVER_ERROR', { status, retryAfter });
+    }
+
+    return new TurbodocError('BAD_REQUEST', {
+      status,
+      message: message || `HTTP ${status}`,
+    });
+  }
+
+  /**
+   * Normalize any thrown value into a TurbodocError
+   */
+  static from(error) {
+    if (error instanceof TurbodocError) {
+      return error;
+    }
+    if (error?.name === 'AbortError') {
+      return new TurbodocError('TIMEOUT', { cause: error });
+    }
+    if (error?.name === 'TypeError' && error.message.includes('fetch')) {
+      return new TurbodocError('NETWORK_ERROR', { cause: error });
+    }
+
+    return new TurbodocError('UNKNOWN', {
+      message: error?.message,
+      cause: error,
+    });
+  }
+
+  /**
+   * Plain representation that survives runtime messaging
+   */
+  toJSON() {
+    return {
+      name: this.name,
+      code: this.code,
+      status: this.status,
+      retryable: this.retryable,
+      message: this.message,
+    };
+  }
+}
+
 class TurbodocAPI {
   constructor() {
     this.supabase = null;
     this.session = null;
     this.user = null;
     this.isInitialized = false;
+    this.refreshPromise = null;
 
     this.init();
   }
@@ -80,22 +185,61 @@ class TurbodocAPI {
 
   /**
    * Make authenticated request to custom API or Supabase
+   * Applies API_CONFIG timeout and retries transient failures with backoff
+   * An expired access token is refreshed once and the request replayed
+   * Writes carry an Idempotency-Key so retries and replays are applied once;
+   * pass options.idempotencyKey to keep the same key across calls
    */
   async request(endpoint, options = {}) {
     await this.init();
 
     if (!this.supabase) {
-      throw new Error('Supabase client not initialized');
+      throw new TurbodocError('CONFIG_ERROR', {
+        message: 'Supabase client not initialized',
+      });
     }
 
     if (!validateApiConfig()) {
-      throw new Error('API configuration is invalid');
+      throw new TurbodocError('CONFIG_ERROR', {
+        message: 'API configuration is invalid',
+      });
     }
 
+    const { idempotencyKey, ...requestOptions } = options;
+    const method = (requestOptions.method || 'GET').toUpperCase();
+    if (idempotencyKey || (method !== 'GET' && method !== 'HEAD')) {
+      requestOptions.headers = {
+        ...requestOptions.headers,
+        'Idempotency-Key': idempotencyKey || crypto.randomUUID(),
+      };
+    }
+
+    try {
+      return await this.sendWithRetries(endpoint, requestOptions);
+    } catch (error) {
+      if (error.code !== 'UNAUTHORIZED' || !this.session?.refresh_token) {
+        throw error;
+      }
+
+      await this.refreshSession();
+      return this.sendWithRetries(endpoint, requestOptions);
+    }
+  }
+
+  /**
+   * Send a request with the current access token, retrying transient failures
+   */
+  async sendWithRetries(endpoint, options = {}) {
+    const {
+      timeout = API_CONFIG.timeout,
+      retryAttempts = API_CONFIG.retryAttempts,
+      ...fetchOptions
+    } = options;
+
     const url = getApiUrl(endpoint);
     const headers = {
       'Content-Type': 'application/json',
-      ...options.headers,
+      ...fetchOptions.headers,
     };
 
     if (this.session?.access_token) {
@@ -104,41 +248,133 @@ class TurbodocAPI {
 
     const requestOptions = {
       method: 'GET',
-      ...options,
+      ...fetchOptions,
       headers,
     };
 
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.performRequest(url, requestOptions, timeout);
+      } catch (error) {
+        if (attempt >= retryAttempts || !error.retryable) {
+          throw error;
+        }
+
+        const delay = this.getRetryDelay(attempt, error.retryAfter);
+        console.warn(
+          `Request to ${endpoint} failed (${error.code}), retrying in ${delay}ms`,
+        );
+        await this.sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Refresh the Supabase session after the API rejected the access token
+   * Concurrent callers share a single refresh
+   */
+  refreshSession() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.supabase.auth
+        .refreshSession()
+        .then(({ data, error }) => {
+          if (error?.name === 'AuthRetryableFetchError') {
+            throw new TurbodocError('NETWORK_ERROR', { cause: error });
+          }
+          if (error || !data?.session) {
+            // Refresh token is no longer valid, user must sign in again
+            this.setSession(null);
+            throw new TurbodocError('UNAUTHORIZED', { cause: error });
+          }
+
+          this.setSession(data.session);
+          return data.session;
+        })
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+
+    return this.refreshPromise;
+  }
+
+  /**
+   * Perform a single fetch, aborting it once the timeout elapses
+   */
+  async performRequest(url, requestOptions, timeout) {
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), timeout);
+
     try {
-      const response = await fetch(url, requestOptions);
+      const response = await fetch(url, {
+        ...requestOptions,
+        signal: controller.signal,
+      });
 
       if (!response.ok) {
-        if (response.status === 401) {
-          throw new Error('UNAUTHORIZED');
-        }
-        if (response.status === 403) {
-          throw new Error('FORBIDDEN');
-        }
-        if (response.status === 404) {
-          throw new Error('NOT_FOUND');
-        }
-        if (response.status >= 500) {
-          throw new Error('SERVER_ERROR');
-        }
-
         const errorData = await response.json().catch(() => ({}));
-        throw new Error(errorData.message || `HTTP ${response.status}`);
+        throw TurbodocError.fromStatus(response.status, {
+          message: errorData.message,
+          retryAfter: this.parseRetryAfter(response.headers.get('Retry-After')),
+        });
+      }
+
+      if (response.status === 204) {
+        return {};
       }
 
       const data = await response.json();
       return data;
     } catch (error) {
-      if (error.name === 'TypeError' && error.message.includes('fetch')) {
-        throw new Error('NETWORK_ERROR');
-      }
-      throw error;
+      throw TurbodocError.from(error);
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
 
+  /**
+   * Get delay before the next attempt (exponential backoff with full jitter)
+   */
+  getRetryDelay(attempt, retryAfter = null) {
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, API_CONFIG.maxRetryDelay);
+    }
+
+    const backoff = Math.min(
+      API_CONFIG.retryDelay * 2 ** attempt,
+      API_CONFIG.maxRetryDelay,
+    );
+    return Math.round(backoff / 2 + Math.random() * (backoff / 2));
+  }
+
+  /**
+   * Parse a Retry-After header (delta seconds or HTTP date) into milliseconds
+   */
+  parseRetryAfter(value) {
+    if (!value) {
+      return null;
+    }
+
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+      return Math.max(0, seconds * 1000);
+    }
+
+    const date = Date.parse(value);
+    if (!Number.isNaN(date)) {
+      return Math.max(0, date - Date.now());
+    }
+
+    return null;
+  }
+
+  /**
+   * Wait for the given number of milliseconds
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+
   /**
    * Authenticate user with Supabase
    */
@@ -147,7 +383,9 @@ class TurbodocAPI {
       await this.init();
 
       if (!this.supabase) {
-        throw new Error('Supabase client not initialized');
+        throw new TurbodocError('CONFIG_ERROR', {
+          message: 'Supabase client not initialized',
+        });
       }
 
       const { data, error } = await this.supabase.auth.signInWithPassword({
@@ -156,7 +394,12 @@ class TurbodocAPI {
       });
 
       if (error) {
-        throw error;
+        throw new TurbodocError('AUTH_FAILED', {
+          message: error.message,
+          status: error.status ?? null,
+          retryable: false,
+          cause: error,
+        });
       }
 
       this.setSession(data.session);
@@ -171,7 +414,7 @@ class TurbodocAPI {
     } catch (error) {
       return {
         success: false,
-        error: this.getErrorMessage(error.message),
+        error: TurbodocError.from(error),
       };
     }
   }
@@ -203,27 +446,32 @@ class TurbodocAPI {
   /**
    * Create new bookmark
    */
-  async createBookmark(bookmarkData) {
+  async createBookmark(bookmarkData, { idempotencyKey } = {}) {
     try {
       await this.init();
 
       if (!this.user) {
-        throw new Error('User not authenticated');
+        throw new TurbodocError('UNAUTHORIZED');
       }
 
       // Format payload according to Turbodoc API spec
       const payload = {
         title: bookmarkData.title,
         url: bookmarkData.url,
-        tags: Array.isArray(bookmarkData.tags)
-          ? bookmarkData.tags.join(',')
-          : bookmarkData.tags || '',
-        status: 'unread', // Default status
+        tags: this.formatTags(bookmarkData.tags),
+        status: bookmarkData.status || 'unread', // Default status
       };
 
+      // Imported bookmarks keep the date they were originally saved
+      const createdAt = new Date(bookmarkData.createdAt);
+      if (bookmarkData.createdAt && !Number.isNaN(createdAt.getTime())) {
+        payload.createdAt = createdAt.toISOString();
+      }
+
       const response = await this.request('bookmarks', {
         method: 'POST',
         body: JSON.stringify(payload),
+        idempotencyKey,
       });
 
       return {
@@ -234,7 +482,111 @@ class TurbodocAPI {
       console.error('Create bookmark error:', error);
       return {
         success: false,
-        error: this.getErrorMessage(error.message),
+        error: TurbodocError.from(error),
+      };
+    }
+  }
+
+  /**
+   * Update an existing bookmark
+   * Only the fields present in the patch are sent
+   */
+  async updateBookmark(id, patch, { idempotencyKey } = {}) {
+    try {
+      await this.init();
+
+      if (!this.user) {
+        throw new TurbodocError('UNAUTHORIZED');
+      }
+
+      const payload = {};
+      for (const field of ['title', 'url', 'status']) {
+        if (patch[field] !== undefined) {
+          payload[field] = patch[field];
+        }
+      }
+      if (patch.tags !== undefined) {
+        payload.tags = this.formatTags(patch.tags);
+      }
+
+      const response = await this.request(
+        `bookmarks/${encodeURIComponent(id)}`,
+        {
+          method: 'PATCH',
+          body: JSON.stringify(payload),
+          idempotencyKey,
+        },
+      );
+
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      console.error('Update bookmark error:', error);
+      return {
+        success: false,
+        error: TurbodocError.from(error),
+      };
+    }
+  }
+
+  /**
+   * Delete a bookmark
+   */
+  async deleteBookmark(id, { idempotencyKey } = {}) {
+    try {
+      await this.init();
+
+      if (!this.user) {
+        throw new TurbodocError('UNAUTHORIZED');
+      }
+
+      await this.request(`bookmarks/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        idempotencyKey,
+      });
+
+      return { success: true };
+    } catch (error) {
+      console.error('Delete bookmark error:', error);
+      return {
+        success: false,
+        error: TurbodocError.from(error),
+      };
+    }
+  }
+
+  /**
+   * Find the user's bookmark for a URL, if it has been saved before
+   * The popup waits on this, so it fails fast instead of retrying
+   */
+  async findBookmarkByUrl(url) {
+    try {
+      await this.init();
+
+      if (!this.user) {
+        throw new TurbodocError('UNAUTHORIZED');
+      }
+
+      const response = await this.request(
+        `bookmarks?url=${encodeURIComponent(url)}`,
+        { timeout: API_CONFIG.lookupTimeout, retryAttempts: 0 },
+      );
+      const matches = Array.isArray(response.data)
+        ? response.data
+        : [response.data].filter(Boolean);
+
+      return {
+        success: true,
+        data: matches.find((bookmark) => bookmark.url === url) || null,
+      };
+    } catch (error) {
+      console.error('Find bookmark error:', error);
+      return {
+        success: false,
+        error: TurbodocError.from(error),
+        data: null,
       };
     }
   }
@@ -242,12 +594,12 @@ class TurbodocAPI {
   /**
    * Create new note
    */
-  async createNote(noteData) {
+  async createNote(noteData, { idempotencyKey } = {}) {
     try {
       await this.init();
 
       if (!this.user) {
-        throw new Error('User not authenticated');
+        throw new TurbodocError('UNAUTHORIZED');
       }
 
       // Format payload according to Turbodoc API spec
@@ -259,6 +611,7 @@ class TurbodocAPI {
       const response = await this.request('notes', {
         method: 'POST',
         body: JSON.stringify(payload),
+        idempotencyKey,
       });
 
       return {
@@ -269,11 +622,187 @@ class TurbodocAPI {
       console.error('Create note error:', error);
       return {
         success: false,
-        error: this.getErrorMessage(error.message),
+        error: TurbodocError.from(error),
+      };
+    }
+  }
+
+  /**
+   * List bookmarks, optionally filtered by search query, tags and status
+   * Results are paginated; pass the returned nextCursor to fetch more
+   */
+  async listBookmarks({ query, tags, status, cursor, limit = 20 } = {}) {
+    try {
+      await this.init();
+
+      if (!this.user) {
+        throw new TurbodocError('UNAUTHORIZED');
+      }
+
+      const params = new URLSearchParams({ limit: String(limit) });
+      if (query) {
+        params.set('search', query);
+      }
+      if (tags && tags.length > 0) {
+        params.set('tags', this.formatTags(tags));
+      }
+      if (status) {
+        params.set('status', status);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+
+      const response = await this.request(`bookmarks?${params}`);
+
+      return {
+        success: true,
+        data: response.data || [],
+        nextCursor:
+          response.nextCursor ?? response.pagination?.nextCursor ?? null,
+      };
+    } catch (error) {
+      console.error('List bookmarks error:', error);
+      return {
+        success: false,
+        error: TurbodocError.from(error),
+        data: [],
+        nextCursor: null,
+      };
+    }
+  }
+
+  /**
+   * List notes, most recently updated first
+   * Results are paginated; pass the returned nextCursor to fetch more
+   */
+  async listNotes({ query, cursor, limit = 20 } = {}) {
+    try {
+      await this.init();
+
+      if (!this.user) {
+        throw new TurbodocError('UNAUTHORIZED');
+      }
+
+      const params = new URLSearchParams({ limit: String(limit) });
+      if (query) {
+        params.set('search', query);
+      }
+      if (cursor) {
+        params.set('cursor', cursor);
+      }
+
+      const response = await this.request(`notes?${params}`);
+
+      return {
+        success: true,
+        data: response.data || [],
+        nextCursor:
+          response.nextCursor ?? response.pagination?.nextCursor ?? null,
+      };
+    } catch (error) {
+      console.error('List notes error:', error);
+      return {
+        success: false,
+        error: TurbodocError.from(error),
+        data: [],
+        nextCursor: null,
+      };
+    }
+  }
+
+  /**
+   * Get a single note with its full content
+   */
+  async getNote(id) {
+    try {
+      await this.init();
+
+      if (!this.user) {
+        throw new TurbodocError('UNAUTHORIZED');
+      }
+
+      const response = await this.request(`notes/${encodeURIComponent(id)}`);
+
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      console.error('Get note error:', error);
+      return {
+        success: false,
+        error: TurbodocError.from(error),
+      };
+    }
+  }
+
+  /**
+   * Update an existing note
+   * Only the fields present in the patch are sent
+   */
+  async updateNote(id, patch, { idempotencyKey } = {}) {
+    try {
+      await this.init();
+
+      if (!this.user) {
+        throw new TurbodocError('UNAUTHORIZED');
+      }
+
+      const payload = {};
+      for (const field of ['title', 'content']) {
+        if (patch[field] !== undefined) {
+          payload[field] = patch[field];
+        }
+      }
+
+      const response = await this.request(`notes/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        body: JSON.stringify(payload),
+        idempotencyKey,
+      });
+
+      return {
+        success: true,
+        data: response.data,
+      };
+    } catch (error) {
+      console.error('Update note error:', error);
+      return {
+        success: false,
+        error: TurbodocError.from(error),
       };
     }
   }
 
+  /**
+   * Create several bookmarks one after another
+   * Each result carries the bookmark and the idempotency key it was sent
+   * with, so failures can be queued and replayed without duplicates.
+   * onProgress is called with each result as it completes.
+   */
+  async createBookmarks(bookmarks, { onProgress } = {}) {
+    const results = [];
+
+    for (const bookmarkData of bookmarks) {
+      const idempotencyKey = crypto.randomUUID();
+      const result = await this.createBookmark(bookmarkData, {
+        idempotencyKey,
+      });
+      const entry = { ...result, bookmark: bookmarkData, idempotencyKey };
+      results.push(entry);
+
+      if (onProgress) {
+        onProgress(entry, results.length, bookmarks.length);
+      }
+    }
+
+    return {
+      success: results.every((entry) => entry.success),
+      data: results,
+    };
+  }
+
   /**
    * Get user tags for autocomplete
    */
@@ -282,7 +811,7 @@ class TurbodocAPI {
       await this.init();
 
       if (!this.user) {
-        throw new Error('User not authenticated');
+        throw new TurbodocError('UNAUTHORIZED');
       }
 
       const response = await this.request('tags');
@@ -295,28 +824,24 @@ class TurbodocAPI {
       console.error('Get user tags error:', error);
       return {
         success: false,
-        error: this.getErrorMessage(error.message),
+        error: TurbodocError.from(error),
         data: [],
       };
     }
   }
 
+  /**
+   * Format tags for the API (pipe-separated string, as the popup form sends)
+   */
+  formatTags(tags) {
+    return Array.isArray(tags) ? tags.join('|') : tags || '';
+  }
+
   /**
    * Convert error codes to user-friendly messages
    */
   getErrorMessage(errorCode) {
-    const errorMessages = {
-      UNAUTHORIZED: 'Please sign in to continue',
-      FORBIDDEN: 'Access denied',
-      NOT_FOUND: 'Resource not found',
-      SERVER_ERROR: 'Server error. Please try again later',
-      NETWORK_ERROR: 'Network error. Please check your connection',
-      TIMEOUT: 'Request timeout. Please try again',
-    };
-
-    return (
-      errorMessages[errorCode] || errorCode || 'An unexpected error occurred'
-    );
+    return TurbodocError.getMessage(errorCode);
   }
 
   /**
@@ -405,12 +930,14 @@ class SupabaseExtensionStorage {
 
 // Export for different environments
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { TurbodocAPI, SupabaseExtensionStorage };
+  module.exports = { TurbodocAPI, TurbodocError, SupabaseExtensionStorage };
 } else if (typeof window !== 'undefined') {
   window.TurbodocAPI = TurbodocAPI;
+  window.TurbodocError = TurbodocError;
   window.SupabaseExtensionStorage = SupabaseExtensionStorage;
 } else {
   // Extension context
   this.TurbodocAPI = TurbodocAPI;
+  this.TurbodocError = TurbodocError;
   this.SupabaseExtensionStorage = SupabaseExtensionStorage;
 }
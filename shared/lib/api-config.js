@@ -7,8 +7,10 @@ const API_CONFIG = {
   baseUrl: 'https://api.turbodoc.ai',
   version: 'v1',
   timeout: 30000, // 30 seconds
+  lookupTimeout: 3000, // Quick lookups the UI waits on before rendering
   retryAttempts: 3,
   retryDelay: 1000, // 1 second
+  maxRetryDelay: 30000, // Upper bound for backoff and Retry-After waits
 };
 
 /**
@@ -0,0 +1,309 @@
+/**
+ * Bookmark Importer
+ * Uploads bookmarks from other sources to Turbodoc as a resumable job
+ * Progress lives in StorageManager so an import survives closing the page
+ */
+
+class BookmarkImporter {
+  constructor(api, storage) {
+    this.api = api;
+    this.storage = storage;
+    this.REQUEST_INTERVAL = 500; // ms between uploads, about two per second
+    this.MAX_TAG_LENGTH = 50;
+    this.STATUSES = ['unread', 'read'];
+    this.PAGE_SIZE = 100;
+    this.pauseRequested = false;
+  }
+
+  /**
+   * Flatten a bookmarks API tree into import entries
+   * Folder names below the browser's own top-level folders become tags
+   */
+  collectBrowserBookmarks(tree) {
+    const entries = [];
+
+    const walk = (node, folders, depth) => {
+      if (node.url) {
+        entries.push({
+          title: node.title,
+          url: node.url,
+          tags: folders,
+          createdAt: node.dateAdded || null,
+        });
+        return;
+      }
+
+      // Depth 0 is the root and depth 1 holds the toolbar, menu and other
+      // bookmarks folders, which say nothing about the bookmarks in them
+      const path =
+        depth >= 2 && node.title ? [...folders, node.title] : folders;
+      for (const child of node.children || []) {
+        walk(child, path, depth + 1);
+      }
+    };
+
+    for (const root of tree) {
+      walk(root, [], 0);
+    }
+    return entries;
+  }
+
+  /**
+   * Collect the normalized URLs of every bookmark already in Turbodoc
+   */
+  async fetchSavedUrls() {
+    const urls = new Set();
+    const seenCursors = new Set();
+    let cursor = null;
+
+    do {
+      const result = await this.api.listBookmarks({
+        cursor,
+        limit: this.PAGE_SIZE,
+      });
+      if (!result.success) {
+        return result;
+      }
+      for (const bookmark of result.data) {
+        const url = this.normalizeUrl(bookmark.url);
+        if (url) {
+          urls.add(url);
+        }
+      }
+
+      // Stop if the API hands back a cursor it already gave us
+      if (seenCursors.has(result.nextCursor)) {
+        break;
+      }
+      seenCursors.add(result.nextCursor);
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return { success: true, data: urls };
+  }
+
+  /**
+   * Validate and de-duplicate entries from any import source
+   * Entries look like { title, url, tags, status, createdAt }, as produced
+   * by collectBrowserBookmarks and BookmarkFileParser. URLs in savedUrls,
+   * from fetchSavedUrls, are already in Turbodoc. Returns the items to
+   * upload and the skipped entries with a reason.
+   */
+  prepare(entries, savedUrls = new Set()) {
+    const items = [];
+    const skipped = [];
+    const seen = new Set();
+
+    for (const entry of entries) {
+      const url = this.normalizeUrl(entry.url);
+      if (!url) {
+        skipped.push({ ...entry, reason: 'Unsupported URL' });
+        continue;
+      }
+      if (seen.has(url)) {
+        skipped.push({ ...entry, reason: 'Duplicate URL' });
+        continue;
+      }
+      if (savedUrls.has(url)) {
+        skipped.push({ ...entry, reason: 'Already saved' });
+        continue;
+      }
+
+      seen.add(url);
+      items.push({
+        id: crypto.randomUUID(), // Also the upload's idempotency key
+        title: entry.title?.trim() || url,
+        url,
+        tags: this.cleanTags(entry.tags),
+        status: this.STATUSES.includes(entry.status) ? entry.status : null,
+        createdAt: entry.createdAt || null,
+      });
+    }
+
+    return { items, skipped };
+  }
+
+  /**
+   * Normalize a web URL, or return null for javascript:, file: and the like
+   */
+  normalizeUrl(url) {
+    try {
+      const parsed = new URL(String(url).trim());
+      if (parsed.protocol === 'http:' || parsed.protocol === 'https:') {
+        return parsed.href;
+      }
+    } catch (error) {
+      // Not a URL
+    }
+    return null;
+  }
+
+  /**
+   * Make tags safe to send: the API separates tags with commas and pipes
+   */
+  cleanTags(tags = []) {
+    const cleaned = tags
+      .map((tag) =>
+        String(tag)
+          .replace(/[,|]/g, ' ')
+          .replace(/\s+/g, ' ')
+          .trim()
+          .slice(0, this.MAX_TAG_LENGTH),
+      )
+      .filter((tag) => tag.length > 0);
+    return [...new Set(cleaned)];
+  }
+
+  /**
+   * Start importing prepared items, replacing any previous import
+   */
+  async start(source, items, onProgress) {
+    const result = await this.storage.createImportJob(source, items);
+    if (!result.success) {
+      return result;
+    }
+    return this.resume(onProgress);
+  }
+
+  /**
+   * Upload the remaining items of the current import
+   * A Web Lock keeps two pages from running the same import at once
+   */
+  resume(onProgress) {
+    if (typeof navigator === 'undefined' || !navigator.locks) {
+      return this.run(onProgress);
+    }
+
+    return navigator.locks.request(
+      'turbodoc-import',
+      { ifAvailable: true },
+      (lock) => {
+        if (!lock) {
+          return {
+            success: false,
+            error: 'This import is already running in another tab',
+          };
+        }
+        return this.run(onProgress);
+      },
+    );
+  }
+
+  /**
+   * Upload items one at a time, recording progress after each
+   * The import pauses on failures worth retrying later, such as going
+   * offline, being rate limited or signed out; other failures are recorded
+   * and skipped. onProgress is called with the job after every change.
+   */
+  async run(onProgress = () => {}) {
+    this.pauseRequested = false;
+
+    const [jobResult, itemsResult] = await Promise.all([
+      this.storage.getImportJob(),
+      this.storage.getImportItems(),
+    ]);
+    if (!jobResult.data) {
+      return { success: false, error: 'There is no import to resume' };
+    }
+    if (jobResult.data.status === 'completed') {
+      return { success: true, data: jobResult.data };
+    }
+
+    let update = await this.storage.updateImportJob({
+      status: 'running',
+      lastError: null,
+    });
+    if (!update.success) {
+      return update;
+    }
+    let job = update.data;
+    onProgress(job);
+
+    const items = itemsResult.data;
+    let lastRequestAt = 0;
+
+    while (job.nextIndex < items.length) {
+      if (this.pauseRequested) {
+        return this.finish({ status: 'paused' }, onProgress);
+      }
+
+      // Space uploads out so a large import stays under the API rate limit
+      await this.sleep(lastRequestAt + this.REQUEST_INTERVAL - Date.now());
+      lastRequestAt = Date.now();
+
+      const item = items[job.nextIndex];
+      const result = await this.api.createBookmark(item, {
+        idempotencyKey: item.id,
+      });
+
+      if (
+        !result.success &&
+        (result.error?.retryable || result.error?.code === 'UNAUTHORIZED')
+      ) {
+        // Keep the item as the next one so resuming retries it
+        return this.finish(
+          { status: 'paused', lastError: result.error.message },
+          onProgress,
+        );
+      }
+
+      const changes = { nextIndex: job.nextIndex + 1 };
+      if (result.success) {
+        changes.imported = job.imported + 1;
+      } else {
+        changes.failures = [
+          ...job.failures,
+          {
+            title: item.title,
+            url: item.url,
+            error: result.error?.message || 'Failed to import',
+          },
+        ];
+      }
+
+      update = await this.storage.updateImportJob(changes);
+      if (!update.success) {
+        return update;
+      }
+      job = update.data;
+      onProgress(job);
+    }
+
+    return this.finish({ status: 'completed' }, onProgress);
+  }
+
+  /**
+   * Ask a running import to pause after the current upload
+   */
+  pause() {
+    this.pauseRequested = true;
+  }
+
+  /**
+   * Record the import's final state for this run
+   */
+  async finish(changes, onProgress) {
+    const result = await this.storage.updateImportJob(changes);
+    if (result.success) {
+      onProgress(result.data);
+    }
+    return result;
+  }
+
+  /**
+   * Wait for the given number of milliseconds
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BookmarkImporter;
+} else if (typeof window !== 'undefined') {
+  window.BookmarkImporter = BookmarkImporter;
+} else {
+  // Extension context
+  this.BookmarkImporter = BookmarkImporter;
+}
@@ -0,0 +1,422 @@
+/**
+ * Bookmark File Parsers
+ * Reads bookmark exports from browsers and read-it-later services into
+ * { row, title, url, tags, status, createdAt } entries for BookmarkImporter
+ * Everything runs locally; malformed rows are reported instead of thrown
+ */
+
+class BookmarkFileParser {
+  constructor() {
+    this.FORMATS = {
+      netscape: 'Bookmarks HTML',
+      pocketHtml: 'Pocket HTML',
+      pocketCsv: 'Pocket CSV',
+      pinboard: 'Pinboard JSON',
+      raindrop: 'Raindrop CSV',
+    };
+  }
+
+  /**
+   * Parse an exported file
+   * Returns the detected format, the entries read and an error per row
+   * that could not be read
+   */
+  parse(fileName, text) {
+    const content = text.replace(/^\uFEFF/, '');
+    const format = this.detectFormat(fileName, content);
+    if (!format) {
+      return {
+        success: false,
+        error:
+          'Unrecognized file. Choose a bookmarks HTML, Pocket, Pinboard or Raindrop export.',
+      };
+    }
+
+    const parsers = {
+      netscape: () => this.parseNetscapeHtml(content),
+      pocketHtml: () => this.parsePocketHtml(content),
+      pocketCsv: () => this.parsePocketCsv(content),
+      pinboard: () => this.parsePinboardJson(content),
+      raindrop: () => this.parseRaindropCsv(content),
+    };
+    const { entries, errors } = parsers[format]();
+
+    return {
+      success: true,
+      data: { format, label: this.FORMATS[format], entries, errors },
+    };
+  }
+
+  /**
+   * Work out which export a file is from its name and contents
+   */
+  detectFormat(fileName, text) {
+    const start = text.trimStart();
+    if (start.startsWith('[') || start.startsWith('{')) {
+      return 'pinboard';
+    }
+
+    if (/^<!DOCTYPE NETSCAPE-Bookmark-file/i.test(start)) {
+      return 'netscape';
+    }
+    if (/<html[\s>]|<a\s/i.test(text) || /\.html?$/i.test(fileName)) {
+      // Pocket lists links under "Unread" and "Read Archive" headings
+      if (
+        /<title>\s*Pocket Export/i.test(text) ||
+        /<h1>\s*Unread/i.test(text)
+      ) {
+        return 'pocketHtml';
+      }
+      return 'netscape';
+    }
+
+    const header = start.split(/\r?\n/, 1)[0].toLowerCase();
+    const columns = header.split(',').map((column) => column.trim());
+    if (columns.includes('url') && columns.includes('time_added')) {
+      return 'pocketCsv';
+    }
+    if (columns.includes('url') && columns.includes('created')) {
+      return 'raindrop';
+    }
+    return null;
+  }
+
+  /**
+   * Parse a Netscape bookmark file, as exported by browsers and Pinboard
+   * Folders become tags alongside any TAGS attribute
+   */
+  parseNetscapeHtml(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+    const entries = [];
+    const errors = [];
+
+    for (const [index, link] of [...doc.querySelectorAll('a')].entries()) {
+      const row = index + 1;
+      const url = link.getAttribute('href');
+      if (!url) {
+        errors.push({ row, message: 'Missing URL' });
+        continue;
+      }
+
+      entries.push({
+        row,
+        title: link.textContent.trim(),
+        url,
+        tags: [
+          ...this.getFolderPath(link),
+          ...this.splitList(link.getAttribute('tags'), ','),
+        ],
+        status: link.getAttribute('toread') === '1' ? 'unread' : null,
+        createdAt: this.parseTimestamp(link.getAttribute('add_date')),
+      });
+    }
+
+    return { entries, errors };
+  }
+
+  /**
+   * Collect the folder names a Netscape bookmark is nested in
+   * Each folder is an H3 heading followed by the DL holding its bookmarks
+   */
+  getFolderPath(link) {
+    const folders = [];
+
+    for (let node = link.parentElement; node; node = node.parentElement) {
+      if (node.tagName !== 'DL') {
+        continue;
+      }
+
+      let heading = node.previousElementSibling;
+      while (heading?.tagName === 'P') {
+        heading = heading.previousElementSibling;
+      }
+
+      // The browser's own toolbar and other bookmarks folders aren't topics
+      if (
+        heading?.tagName === 'H3' &&
+        !heading.hasAttribute('personal_toolbar_folder') &&
+        !heading.hasAttribute('unfiled_bookmarks_folder')
+      ) {
+        folders.unshift(heading.textContent.trim());
+      }
+    }
+
+    return folders;
+  }
+
+  /**
+   * Parse a Pocket HTML export
+   * Links under the "Read Archive" heading are marked as read
+   */
+  parsePocketHtml(text) {
+    const doc = new DOMParser().parseFromString(text, 'text/html');
+    const entries = [];
+    const errors = [];
+
+    for (const [index, link] of [...doc.querySelectorAll('a')].entries()) {
+      const row = index + 1;
+      const url = link.getAttribute('href');
+      if (!url) {
+        errors.push({ row, message: 'Missing URL' });
+        continue;
+      }
+
+      let heading = link.closest('ul')?.previousElementSibling;
+      while (heading && heading.tagName !== 'H1') {
+        heading = heading.previousElementSibling;
+      }
+
+      let status = null;
+      if (heading) {
+        status = /^\s*unread/i.test(heading.textContent) ? 'unread' : 'read';
+      }
+
+      entries.push({
+        row,
+        title: link.textContent.trim(),
+        url,
+        tags: this.splitList(link.getAttribute('tags'), ','),
+        status,
+        createdAt: this.parseTimestamp(link.getAttribute('time_added')),
+      });
+    }
+
+    return { entries, errors };
+  }
+
+  /**
+   * Parse a Pocket CSV export: title, url, time_added, tags, status
+   */
+  parsePocketCsv(text) {
+    const statuses = { unread: 'unread', archive: 'read' };
+
+    return this.parseCsvEntries(text, (values) => ({
+      title: values.title,
+      url: values.url,
+      tags: this.splitList(values.tags, '|'),
+      status: statuses[values.status?.trim().toLowerCase()] || null,
+      createdAt: this.parseTimestamp(values.time_added),
+    }));
+  }
+
+  /**
+   * Parse a Raindrop CSV export
+   * The folder path becomes tags, except for Raindrop's "Unsorted" folder
+   */
+  parseRaindropCsv(text) {
+    return this.parseCsvEntries(text, (values) => {
+      const folders = this.splitList(values.folder, '/').filter(
+        (folder) => folder.toLowerCase() !== 'unsorted',
+      );
+
+      return {
+        title: values.title,
+        url: values.url,
+        tags: [...folders, ...this.splitList(values.tags, ',')],
+        status: null,
+        createdAt: this.parseDate(values.created),
+      };
+    });
+  }
+
+  /**
+   * Parse a Pinboard JSON export
+   * Pinboard's "to read" flag maps to unread, everything else to read
+   */
+  parsePinboardJson(text) {
+    const entries = [];
+    const errors = [];
+
+    let posts;
+    try {
+      posts = JSON.parse(text);
+    } catch (error) {
+      return {
+        entries,
+        errors: [{ row: null, message: 'The file is not valid JSON' }],
+      };
+    }
+    if (!Array.isArray(posts)) {
+      return {
+        entries,
+        errors: [{ row: null, message: 'Expected a list of bookmarks' }],
+      };
+    }
+
+    for (const [index, post] of posts.entries()) {
+      const row = index + 1;
+      if (!post || typeof post !== 'object' || !post.href) {
+        errors.push({ row, message: 'Missing URL' });
+        continue;
+      }
+
+      let tags = [];
+      if (Array.isArray(post.tags)) {
+        tags = post.tags.map(String);
+      } else if (typeof post.tags === 'string') {
+        tags = this.splitList(post.tags, ' ');
+      }
+
+      let status = null;
+      if (post.toread === 'yes' || post.toread === 'no') {
+        status = post.toread === 'yes' ? 'unread' : 'read';
+      }
+
+      entries.push({
+        row,
+        title: typeof post.description === 'string' ? post.description : '',
+        url: post.href,
+        tags,
+        status,
+        createdAt: this.parseDate(post.time),
+      });
+    }
+
+    return { entries, errors };
+  }
+
+  /**
+   * Parse CSV with a header row, mapping each record through toEntry
+   * Rows are numbered by the line they start on
+   */
+  parseCsvEntries(text, toEntry) {
+    const { records, errors } = this.parseCsv(text);
+    const entries = [];
+
+    if (records.length === 0) {
+      errors.push({ row: null, message: 'The file is empty' });
+      return { entries, errors };
+    }
+
+    const header = records[0].fields.map((name) => name.trim().toLowerCase());
+    for (const record of records.slice(1)) {
+      const values = {};
+      header.forEach((name, i) => {
+        values[name] = record.fields[i] ?? '';
+      });
+
+      if (!values.url?.trim()) {
+        errors.push({ row: record.line, message: 'Missing URL' });
+        continue;
+      }
+      entries.push({ row: record.line, ...toEntry(values) });
+    }
+
+    return { entries, errors };
+  }
+
+  /**
+   * Split CSV text into records of fields
+   * Handles quoted fields with commas, quotes and line breaks; an unclosed
+   * quote is reported and ends parsing rather than swallowing the file
+   */
+  parseCsv(text) {
+    const records = [];
+    const errors = [];
+    let fields = [];
+    let field = '';
+    let inQuotes = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < text.length; i++) {
+      const char = text[i];
+
+      if (inQuotes) {
+        if (char === '"' && text[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (char === '"') {
+          inQuotes = false;
+        } else {
+          if (char === '\n') {
+            line++;
+          }
+          field += char;
+        }
+        continue;
+      }
+
+      if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        fields.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && text[i + 1] === '\n') {
+          i++;
+        }
+        fields.push(field);
+        records.push({ line: recordLine, fields });
+        fields = [];
+        field = '';
+        line++;
+        recordLine = line;
+      } else {
+        field += char;
+      }
+    }
+
+    if (inQuotes) {
+      errors.push({
+        row: recordLine,
+        message: 'Unclosed quote; the rest of the file was skipped',
+      });
+    } else if (field !== '' || fields.length > 0) {
+      fields.push(field);
+      records.push({ line: recordLine, fields });
+    }
+
+    // Blank lines are not records
+    return {
+      records: records.filter((record) =>
+        record.fields.some((value) => value.trim() !== ''),
+      ),
+      errors,
+    };
+  }
+
+  /**
+   * Split a delimited list, dropping blanks
+   */
+  splitList(value, separator) {
+    if (!value) {
+      return [];
+    }
+    return String(value)
+      .split(separator)
+      .map((item) => item.trim())
+      .filter((item) => item.length > 0);
+  }
+
+  /**
+   * Convert a Unix timestamp in seconds to milliseconds, or null
+   * Values too large for a Date (e.g. microseconds) count as missing
+   */
+  parseTimestamp(value) {
+    const seconds = Number(value);
+    if (!value || !Number.isFinite(seconds) || seconds <= 0) {
+      return null;
+    }
+    const time = seconds * 1000;
+    return Number.isNaN(new Date(time).getTime()) ? null : time;
+  }
+
+  /**
+   * Convert a date string to milliseconds, or null if it isn't a date
+   */
+  parseDate(value) {
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BookmarkFileParser;
+} else if (typeof window !== 'undefined') {
+  window.BookmarkFileParser = BookmarkFileParser;
+} else {
+  // Extension context
+  this.BookmarkFileParser = BookmarkFileParser;
+}
@@ -10,73 +10,90 @@ const isFirefox = typeof browser !== 'undefined' && browser.runtime;
 // Unified browser API namespace
 const browserAPI = isFirefox ? browser : chrome;
 
+/**
+ * Promise-based wrapper for a storage area ('local' or 'sync')
+ */
+const createStorageArea = (areaName) => {
+  const call = (method, ...args) => {
+    return new Promise((resolve, reject) => {
+      const area = browserAPI.storage[areaName];
+      if (!area) {
+        reject(new Error(`storage.${areaName} is not available`));
+      } else if (isFirefox) {
+        area[method](...args).then(resolve, reject);
+      } else {
+        area[method](...args, (result) => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve(result);
+          }
+        });
+      }
+    });
+  };
+
+  return {
+    get: (keys) => call('get', keys),
+    set: (items) => call('set', items),
+    remove: (keys) => call('remove', keys),
+    clear: () => call('clear'),
+  };
+};
+
+const syncArea = createStorageArea('sync');
+
 /**
  * Unified storage API
+ * sync writes are checked against the per-item and total quotas up front, so
+ * callers get a clear QuotaExceededError instead of a browser-specific one
  */
 const storage = {
-  local: {
-    get: (keys) => {
-      return new Promise((resolve, reject) => {
-        if (isFirefox) {
-          browserAPI.storage.local.get(keys).then(resolve, reject);
-        } else {
-          browserAPI.storage.local.get(keys, (result) => {
-            if (browserAPI.runtime.lastError) {
-              reject(browserAPI.runtime.lastError);
-            } else {
-              resolve(result);
-            }
-          });
-        }
-      });
-    },
+  local: createStorageArea('local'),
 
-    set: (items) => {
-      return new Promise((resolve, reject) => {
-        if (isFirefox) {
-          browserAPI.storage.local.set(items).then(resolve, reject);
-        } else {
-          browserAPI.storage.local.set(items, () => {
-            if (browserAPI.runtime.lastError) {
-              reject(browserAPI.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
-        }
-      });
-    },
+  sync: {
+    ...syncArea,
 
-    remove: (keys) => {
-      return new Promise((resolve, reject) => {
-        if (isFirefox) {
-          browserAPI.storage.local.remove(keys).then(resolve, reject);
-        } else {
-          browserAPI.storage.local.remove(keys, () => {
-            if (browserAPI.runtime.lastError) {
-              reject(browserAPI.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
+    QUOTA_BYTES: browserAPI.storage?.sync?.QUOTA_BYTES || 102400,
+    QUOTA_BYTES_PER_ITEM:
+      browserAPI.storage?.sync?.QUOTA_BYTES_PER_ITEM || 8192,
+
+    set: async (items) => {
+      const encoder = new TextEncoder();
+      const itemBytes = (key, value) =>
+        encoder.encode(key + JSON.stringify(value)).length;
+
+      for (const [key, value] of Object.entries(items)) {
+        if (itemBytes(key, value) > storage.sync.QUOTA_BYTES_PER_ITEM) {
+          const error = new Error(`storage.sync item "${key}" is too large`);
+          error.name = 'QuotaExceededError';
+          throw error;
         }
-      });
+      }
+
+      const current = await syncArea.get(null);
+      const merged = { ...current, ...items };
+      const totalBytes = Object.entries(merged).reduce(
+        (total, [key, value]) => total + itemBytes(key, value),
+        0,
+      );
+      if (totalBytes > storage.sync.QUOTA_BYTES) {
+        const error = new Error('storage.sync quota exceeded');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+
+      return syncArea.set(items);
     },
+  },
 
-    clear: () => {
-      return new Promise((resolve, reject) => {
-        if (isFirefox) {
-          browserAPI.storage.local.clear().then(resolve, reject);
-        } else {
-          browserAPI.storage.local.clear(() => {
-            if (browserAPI.runtime.lastError) {
-              reject(browserAPI.runtime.lastError);
-            } else {
-              resolve();
-            }
-          });
-        }
-      });
+  onChanged: {
+    // Callback receives (changes, areaName)
+    addListener: (callback) => {
+      browserAPI.storage.onChanged.addListener(callback);
+    },
+    removeListener: (callback) => {
+      browserAPI.storage.onChanged.removeListener(callback);
     },
   },
 };
@@ -116,12 +133,46 @@ const tabs = {
       }
     });
   },
+
+  sendMessage: (tabId, message) => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        browserAPI.tabs.sendMessage(tabId, message).then(resolve, reject);
+      } else {
+        browserAPI.tabs.sendMessage(tabId, message, (response) => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve(response);
+          }
+        });
+      }
+    });
+  },
 };
 
 /**
  * Unified runtime API
  */
 const runtime = {
+  getURL: (path) => browserAPI.runtime.getURL(path),
+
+  openOptionsPage: () => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        browserAPI.runtime.openOptionsPage().then(resolve, reject);
+      } else {
+        browserAPI.runtime.openOptionsPage(() => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve();
+          }
+        });
+      }
+    });
+  },
+
   sendMessage: (message) => {
     return new Promise((resolve, reject) => {
       if (isFirefox) {
@@ -139,15 +190,20 @@ const runtime = {
   },
 
   onMessage: {
+    // Callbacks that return undefined leave the message for other listeners
     addListener: (callback) => {
       if (isFirefox) {
         browserAPI.runtime.onMessage.addListener((message, sender) => {
-          return Promise.resolve(callback(message, sender));
+          const result = callback(message, sender);
+          return result === undefined ? undefined : Promise.resolve(result);
         });
       } else {
         browserAPI.runtime.onMessage.addListener(
           (message, sender, sendResponse) => {
             const result = callback(message, sender);
+            if (result === undefined) {
+              return false;
+            }
             if (result && typeof result.then === 'function') {
               result.then(sendResponse);
               return true; // Indicates async response
@@ -181,6 +237,22 @@ const contextMenus = {
     });
   },
 
+  remove: (menuItemId) => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        browserAPI.contextMenus.remove(menuItemId).then(resolve, reject);
+      } else {
+        browserAPI.contextMenus.remove(menuItemId, () => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve();
+          }
+        });
+      }
+    });
+  },
+
   removeAll: () => {
     return new Promise((resolve, reject) => {
       if (isFirefox) {
@@ -225,6 +297,25 @@ const action = {
     });
   },
 
+  openPopup: () => {
+    return new Promise((resolve, reject) => {
+      const api = isFirefox ? browserAPI.browserAction : browserAPI.action;
+      if (!api.openPopup) {
+        reject(new Error('openPopup is not supported'));
+      } else if (isFirefox) {
+        api.openPopup().then(resolve, reject);
+      } else {
+        api.openPopup({}, () => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve();
+          }
+        });
+      }
+    });
+  },
+
   setBadgeBackgroundColor: (details) => {
     return new Promise((resolve, reject) => {
       const api = isFirefox ? browserAPI.browserAction : browserAPI.action;
@@ -243,6 +334,183 @@ const action = {
   },
 };
 
+/**
+ * Unified alarms API
+ */
+const alarms = {
+  create: (name, alarmInfo) => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        // Firefox's alarms.create returns nothing
+        browserAPI.alarms.create(name, alarmInfo);
+        resolve();
+      } else {
+        browserAPI.alarms.create(name, alarmInfo, () => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve();
+          }
+        });
+      }
+    });
+  },
+
+  get: (name) => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        browserAPI.alarms.get(name).then(resolve, reject);
+      } else {
+        browserAPI.alarms.get(name, (alarm) => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve(alarm);
+          }
+        });
+      }
+    });
+  },
+
+  clear: (name) => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        browserAPI.alarms.clear(name).then(resolve, reject);
+      } else {
+        browserAPI.alarms.clear(name, (wasCleared) => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve(wasCleared);
+          }
+        });
+      }
+    });
+  },
+
+  onAlarm: {
+    addListener: (callback) => {
+      browserAPI.alarms.onAlarm.addListener(callback);
+    },
+  },
+};
+
+/**
+ * Unified commands (keyboard shortcuts) API
+ */
+const commands = {
+  getAll: () => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        browserAPI.commands.getAll().then(resolve, reject);
+      } else {
+        browserAPI.commands.getAll((result) => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve(result);
+          }
+        });
+      }
+    });
+  },
+
+  onCommand: {
+    // Callback receives (command, tab); tab is missing in older browsers
+    addListener: (callback) => {
+      browserAPI.commands.onCommand.addListener(callback);
+    },
+  },
+};
+
+/**
+ * Unified bookmarks API
+ */
+const bookmarks = {
+  getTree: () => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        browserAPI.bookmarks.getTree().then(resolve, reject);
+      } else {
+        browserAPI.bookmarks.getTree((tree) => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve(tree);
+          }
+        });
+      }
+    });
+  },
+};
+
+/**
+ * Unified downloads API
+ */
+const downloads = {
+  download: (options) => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        browserAPI.downloads.download(options).then(resolve, reject);
+      } else {
+        browserAPI.downloads.download(options, (downloadId) => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve(downloadId);
+          }
+        });
+      }
+    });
+  },
+};
+
+/**
+ * Unified notifications API
+ */
+const notifications = {
+  create: (options) => {
+    return new Promise((resolve, reject) => {
+      if (isFirefox) {
+        browserAPI.notifications.create(options).then(resolve, reject);
+      } else {
+        browserAPI.notifications.create(options, (notificationId) => {
+          if (browserAPI.runtime.lastError) {
+            reject(browserAPI.runtime.lastError);
+          } else {
+            resolve(notificationId);
+          }
+        });
+      }
+    });
+  },
+};
+
+/**
+ * Unified tab groups API
+ * Only Chrome exposes tab groups, so this is null elsewhere
+ */
+let tabGroups = null;
+if (browserAPI.tabGroups) {
+  tabGroups = {
+    get: (groupId) => {
+      return new Promise((resolve, reject) => {
+        if (isFirefox) {
+          browserAPI.tabGroups.get(groupId).then(resolve, reject);
+        } else {
+          browserAPI.tabGroups.get(groupId, (group) => {
+            if (browserAPI.runtime.lastError) {
+              reject(browserAPI.runtime.lastError);
+            } else {
+              resolve(group);
+            }
+          });
+        }
+      });
+    },
+  };
+}
+
 // Export unified API
 const api = {
   storage,
@@ -250,6 +518,12 @@ const api = {
   runtime,
   contextMenus,
   action,
+  alarms,
+  commands,
+  bookmarks,
+  downloads,
+  notifications,
+  tabGroups,
   // Browser detection
   isChrome,
   isFirefox,
@@ -0,0 +1,411 @@
+/**
+ * Turbodoc Exporter
+ * Pages through the API and builds bookmark and note export files
+ * Bookmarks export as Netscape HTML, JSON or CSV; notes as a zip of Markdown
+ */
+
+class TurbodocExporter {
+  constructor(api) {
+    this.api = api;
+    this.PAGE_SIZE = 100;
+    this.NOTE_REQUEST_INTERVAL = 200; // ms between note fetches
+  }
+
+  /**
+   * Build an export file in the given format
+   * Formats are 'html', 'json' and 'csv' for bookmarks and 'markdown' for
+   * notes. onProgress is called with the number of records fetched so far.
+   */
+  async export(format, onProgress = () => {}) {
+    const date = new Date().toISOString().slice(0, 10);
+
+    if (format === 'markdown') {
+      const notes = await this.fetchAllNotes(onProgress);
+      if (!notes.success) {
+        return notes;
+      }
+      return {
+        success: true,
+        data: {
+          content: this.createZip(this.toMarkdownFiles(notes.data)),
+          filename: `turbodoc-notes-${date}.zip`,
+          mimeType: 'application/zip',
+          count: notes.data.length,
+        },
+      };
+    }
+
+    const builders = {
+      html: { build: (b) => this.toNetscapeHtml(b), mimeType: 'text/html' },
+      json: { build: (b) => this.toJson(b), mimeType: 'application/json' },
+      csv: { build: (b) => this.toCsv(b), mimeType: 'text/csv' },
+    };
+    const builder = builders[format];
+    if (!builder) {
+      return {
+        success: false,
+        error: new TurbodocError('UNKNOWN', {
+          message: `Unknown export format "${format}"`,
+        }),
+      };
+    }
+
+    const bookmarks = await this.fetchAllBookmarks(onProgress);
+    if (!bookmarks.success) {
+      return bookmarks;
+    }
+    return {
+      success: true,
+      data: {
+        content: builder.build(bookmarks.data),
+        filename: `turbodoc-bookmarks-${date}.${format}`,
+        mimeType: builder.mimeType,
+        count: bookmarks.data.length,
+      },
+    };
+  }
+
+  /**
+   * Fetch every bookmark, one page at a time
+   */
+  async fetchAllBookmarks(onProgress = () => {}) {
+    const bookmarks = [];
+    const result = await this.fetchAllPages(
+      (cursor) => this.api.listBookmarks({ cursor, limit: this.PAGE_SIZE }),
+      (page) => {
+        bookmarks.push(
+          ...page.map((bookmark) => this.normalizeBookmark(bookmark)),
+        );
+        onProgress(bookmarks.length);
+      },
+    );
+
+    return result.success ? { success: true, data: bookmarks } : result;
+  }
+
+  /**
+   * Fetch every note with its full content
+   * Note lists may only carry a preview, so each note is fetched on its own
+   */
+  async fetchAllNotes(onProgress = () => {}) {
+    const summaries = [];
+    const result = await this.fetchAllPages(
+      (cursor) => this.api.listNotes({ cursor, limit: this.PAGE_SIZE }),
+      (page) => summaries.push(...page),
+    );
+    if (!result.success) {
+      return result;
+    }
+
+    const notes = [];
+    for (const summary of summaries) {
+      const note = await this.api.getNote(summary.id);
+      if (!note.success) {
+        // Keep what the list returned rather than losing the whole export
+        console.warn(`Failed to fetch note ${summary.id}:`, note.error);
+      }
+      notes.push(note.data || summary);
+      onProgress(notes.length);
+      await this.sleep(this.NOTE_REQUEST_INTERVAL);
+    }
+
+    return { success: true, data: notes };
+  }
+
+  /**
+   * Call fetchPage with each cursor until the API reports no more pages
+   */
+  async fetchAllPages(fetchPage, onPage) {
+    const seen = new Set();
+    let cursor = null;
+
+    do {
+      const result = await fetchPage(cursor);
+      if (!result.success) {
+        return result;
+      }
+      onPage(result.data);
+
+      // Stop if the API hands back a cursor it already gave us
+      if (seen.has(result.nextCursor)) {
+        break;
+      }
+      seen.add(result.nextCursor);
+      cursor = result.nextCursor;
+    } while (cursor);
+
+    return { success: true };
+  }
+
+  /**
+   * Normalize an API bookmark to { title, url, tags, status, createdAt }
+   */
+  normalizeBookmark(bookmark) {
+    const tags = Array.isArray(bookmark.tags)
+      ? bookmark.tags
+      : (bookmark.tags || '').split(/[|,]/);
+    // An unparseable date is dropped rather than failing the whole export
+    const createdAt = new Date(
+      bookmark.created_at || bookmark.createdAt || NaN,
+    );
+
+    return {
+      title: bookmark.title || bookmark.url,
+      url: bookmark.url,
+      tags: tags.map((tag) => tag.trim()).filter((tag) => tag.length > 0),
+      status: bookmark.status || null,
+      createdAt: Number.isNaN(createdAt.getTime())
+        ? null
+        : createdAt.toISOString(),
+    };
+  }
+
+  /**
+   * Build a Netscape bookmark file with a folder per tag
+   * Bookmarks with several tags appear in each of their folders; untagged
+   * bookmarks sit at the top level
+   */
+  toNetscapeHtml(bookmarks) {
+    const folders = new Map();
+    const untagged = [];
+    for (const bookmark of bookmarks) {
+      if (bookmark.tags.length === 0) {
+        untagged.push(bookmark);
+      }
+      for (const tag of bookmark.tags) {
+        if (!folders.has(tag)) {
+          folders.set(tag, []);
+        }
+        folders.get(tag).push(bookmark);
+      }
+    }
+
+    const link = (bookmark, indent) => {
+      const addDate = bookmark.createdAt
+        ? ` ADD_DATE="${Math.floor(Date.parse(bookmark.createdAt) / 1000)}"`
+        : '';
+      const tags = bookmark.tags.length
+        ? ` TAGS="${this.escapeHtml(bookmark.tags.join(','))}"`
+        : '';
+      return `${indent}<DT><A HREF="${this.escapeHtml(bookmark.url)}"${addDate}${tags}>${this.escapeHtml(bookmark.title)}</A>`;
+    };
+
+    const lines = [
+      '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      '<!-- This is an automatically generated file. -->',
+      '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+      '<TITLE>Turbodoc Bookmarks</TITLE>',
+      '<H1>Turbodoc Bookmarks</H1>',
+      '<DL><p>',
+    ];
+    const sortedTags = [...folders.keys()].sort((a, b) => a.localeCompare(b));
+    for (const tag of sortedTags) {
+      lines.push(`    <DT><H3>${this.escapeHtml(tag)}</H3>`, '    <DL><p>');
+      for (const bookmark of folders.get(tag)) {
+        lines.push(link(bookmark, '        '));
+      }
+      lines.push('    </DL><p>');
+    }
+    for (const bookmark of untagged) {
+      lines.push(link(bookmark, '    '));
+    }
+    lines.push('</DL><p>', '');
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Build a JSON array of bookmarks
+   */
+  toJson(bookmarks) {
+    return `${JSON.stringify(bookmarks, null, 2)}\n`;
+  }
+
+  /**
+   * Build a CSV of bookmarks with a header row
+   */
+  toCsv(bookmarks) {
+    const rows = [['title', 'url', 'tags', 'status', 'created']];
+    for (const bookmark of bookmarks) {
+      rows.push([
+        bookmark.title,
+        bookmark.url,
+        bookmark.tags.join(', '),
+        bookmark.status || '',
+        bookmark.createdAt || '',
+      ]);
+    }
+
+    return `${rows.map((row) => row.map((value) => this.escapeCsv(value)).join(',')).join('\r\n')}\r\n`;
+  }
+
+  /**
+   * Turn notes into Markdown files with unique names
+   */
+  toMarkdownFiles(notes) {
+    const names = new Set();
+
+    return notes.map((note) => {
+      const title = note.title || 'Untitled note';
+      const base = this.toFileName(title);
+
+      let name = `${base}.md`;
+      for (let n = 2; names.has(name.toLowerCase()); n++) {
+        name = `${base}-${n}.md`;
+      }
+      names.add(name.toLowerCase());
+
+      return { name, content: `# ${title}\n\n${note.content || ''}\n` };
+    });
+  }
+
+  /**
+   * Make a title safe to use as a file name on every platform
+   */
+  toFileName(title) {
+    const name = Array.from(title, (char) => (char < ' ' ? ' ' : char))
+      .join('')
+      .replace(/[\\/:*?"<>|]/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^\.+/, '')
+      .slice(0, 80);
+    return name || 'Untitled note';
+  }
+
+  /**
+   * Build an uncompressed zip archive from { name, content } text files
+   * Stored entries keep the format simple; Markdown compresses little anyway
+   */
+  createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    const now = new Date();
+    const dosTime =
+      (now.getHours() << 11) |
+      (now.getMinutes() << 5) |
+      (now.getSeconds() >> 1);
+    const dosDate =
+      ((now.getFullYear() - 1980) << 9) |
+      ((now.getMonth() + 1) << 5) |
+      now.getDate();
+
+    for (const file of files) {
+      const name = encoder.encode(file.name);
+      const data = encoder.encode(file.content);
+      const crc = this.crc32(data);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true); // Local file header signature
+      local.setUint16(4, 20, true); // Version needed to extract
+      local.setUint16(6, 0x0800, true); // UTF-8 file names
+      local.setUint16(8, 0, true); // Stored, no compression
+      local.setUint16(10, dosTime, true);
+      local.setUint16(12, dosDate, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true); // Extra field length
+      localParts.push(new Uint8Array(local.buffer), name, data);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, 0x02014b50, true); // Central directory signature
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed to extract
+      central.setUint16(8, 0x0800, true);
+      central.setUint16(10, 0, true);
+      central.setUint16(12, dosTime, true);
+      central.setUint16(14, dosDate, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true); // Local header offset
+      centralParts.push(new Uint8Array(central.buffer), name);
+
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralParts.reduce(
+      (size, part) => size + part.length,
+      0,
+    );
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // End of central directory signature
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    for (const part of parts) {
+      zip.set(part, position);
+      position += part.length;
+    }
+    return zip;
+  }
+
+  /**
+   * CRC-32 checksum as used by zip
+   */
+  crc32(bytes) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c >>> 0;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (const byte of bytes) {
+      crc = this.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Escape text for HTML content and attributes
+   */
+  escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * Quote a CSV field when it contains separators, quotes or line breaks
+   */
+  escapeCsv(value) {
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Wait for the given number of milliseconds
+   */
+  sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TurbodocExporter;
+} else if (typeof window !== 'undefined') {
+  window.TurbodocExporter = TurbodocExporter;
+} else {
+  // Extension context
+  this.TurbodocExporter = TurbodocExporter;
+}
@@ -1,6 +1,7 @@
 /**
  * Storage Management Utilities
  * Handles secure storage of authentication tokens and user preferences
+ * Preferences are mirrored to storage.sync; secrets and the queue stay local
  */
 
 class StorageManager {
@@ -8,10 +9,172 @@ class StorageManager {
     this.storage = browserCompat.storage;
     this.STORAGE_KEYS = {
       SUPABASE_SESSION: 'turbodoc-extension-auth', // Matches Supabase storage key
+      AUTH_TOKEN: 'turbodoc_auth_token',
+      USER_DATA: 'turbodoc_user_data',
       PREFERENCES: 'turbodoc_preferences',
       OFFLINE_QUEUE: 'turbodoc_offline_queue',
+      DEAD_LETTER_QUEUE: 'turbodoc_dead_letter_queue',
       LAST_SYNC: 'turbodoc_last_sync',
+      SCHEMA_VERSION: 'turbodoc_schema_version',
+      TAG_CACHE: 'turbodoc_tag_cache',
+      IMPORT_JOB: 'turbodoc_import_job',
+      IMPORT_ITEMS: 'turbodoc_import_items',
     };
+    this.QUEUE_RETRY = {
+      baseDelay: 60 * 1000, // 1 minute
+      maxDelay: 6 * 60 * 60 * 1000, // 6 hours
+      maxPermanentFailures: 3,
+      sendingTimeout: 2 * 60 * 1000, // Older send marks were abandoned
+    };
+    this.pendingUpdate = Promise.resolve();
+  }
+
+  /**
+   * Atomically read, transform and write storage
+   * With a single key, mutate receives its value and returns the new one;
+   * with an array of keys it receives and returns an object keyed by storage
+   * key. Returning undefined leaves storage untouched.
+   */
+  update(keys, mutate) {
+    const single = !Array.isArray(keys);
+
+    return this.withLock(async () => {
+      const current = await this.storage.local.get(keys);
+      const next = await mutate(single ? current[keys] : current);
+      if (next !== undefined) {
+        await this.storage.local.set(single ? { [keys]: next } : next);
+      }
+      return next;
+    });
+  }
+
+  /**
+   * Run fn while holding the storage lock
+   * Uses a Web Lock shared by the popup and background, falling back to
+   * serializing work within this context where the Locks API is missing
+   */
+  withLock(fn) {
+    if (typeof navigator !== 'undefined' && navigator.locks) {
+      return navigator.locks.request('turbodoc-storage', fn);
+    }
+
+    const result = this.pendingUpdate.then(fn, fn);
+    this.pendingUpdate = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Ordered storage migrations
+   * Each migration receives a snapshot of storage.local and returns the keys
+   * to set and remove. Append new migrations; never reorder or edit old ones.
+   */
+  getMigrations() {
+    const { OFFLINE_QUEUE, DEAD_LETTER_QUEUE, PREFERENCES } = this.STORAGE_KEYS;
+
+    return [
+      {
+        version: 1,
+        description: 'Remove the orphaned "undefined" key',
+        // setAuthToken and setUserData wrote there before their keys existed;
+        // the data predates the Supabase session and is no longer read
+        migrate: (data) => ({
+          set: {},
+          remove: 'undefined' in data ? ['undefined'] : [],
+        }),
+      },
+      {
+        version: 2,
+        description: 'Normalize offline and dead-letter queue items',
+        migrate: (data) => {
+          const normalize = (items) =>
+            (Array.isArray(items) ? items : [])
+              .filter((item) => item && typeof item === 'object')
+              .map((item) => this.normalizeQueueItem(item))
+              .filter(
+                (item) => item.payload && typeof item.payload === 'object',
+              )
+              .map((item) => ({
+                ...item,
+                id: item.id ?? crypto.randomUUID(),
+                queuedAt: item.queuedAt || Date.now(),
+              }));
+
+          return {
+            set: {
+              [OFFLINE_QUEUE]: normalize(data[OFFLINE_QUEUE]),
+              [DEAD_LETTER_QUEUE]: normalize(data[DEAD_LETTER_QUEUE]),
+            },
+            remove: [],
+          };
+        },
+      },
+      {
+        version: 3,
+        description: 'Fill in missing preferences',
+        migrate: (data) => {
+          const preferences = data[PREFERENCES];
+          if (!preferences || typeof preferences !== 'object') {
+            return { set: {}, remove: [PREFERENCES] };
+          }
+
+          return {
+            set: {
+              [PREFERENCES]: {
+                ...this.getDefaultPreferences(),
+                ...preferences,
+              },
+            },
+            remove: [],
+          };
+        },
+      },
+    ];
+  }
+
+  /**
+   * Bring stored data up to the latest schema version
+   * Migrations run in order and the version is saved after each one, so an
+   * interrupted run resumes where it stopped
+   */
+  runMigrations() {
+    return this.withLock(async () => {
+      try {
+        const migrations = this.getMigrations();
+        const latest = migrations[migrations.length - 1].version;
+        const stored = await this.storage.local.get(
+          this.STORAGE_KEYS.SCHEMA_VERSION,
+        );
+        const from = stored[this.STORAGE_KEYS.SCHEMA_VERSION] || 0;
+
+        for (const migration of migrations) {
+          if (migration.version <= from) {
+            continue;
+          }
+
+          const data = await this.storage.local.get(null);
+          const { set, remove } = migration.migrate(data);
+
+          if (remove.length > 0) {
+            await this.storage.local.remove(remove);
+          }
+          await this.storage.local.set({
+            ...set,
+            [this.STORAGE_KEYS.SCHEMA_VERSION]: migration.version,
+          });
+          console.log(
+            `Storage migrated to v${migration.version}: ${migration.description}`,
+          );
+        }
+
+        return { success: true, data: { from, to: Math.max(from, latest) } };
+      } catch (error) {
+        console.error('Storage migration failed:', error);
+        return {
+          success: false,
+          error: 'Failed to migrate stored data',
+        };
+      }
+    });
   }
 
   /**
@@ -148,27 +311,38 @@ class StorageManager {
 
   /**
    * Store user preferences
+   * Saved locally first, then pushed to storage.sync so other devices pick
+   * them up; a failed sync write (quota, sync disabled) keeps the local copy
    */
   async setPreferences(preferences) {
-    try {
-      const currentPrefs = await this.getPreferences();
-      const updatedPrefs = {
-        ...currentPrefs.data,
-        ...preferences,
-        updatedAt: Date.now(),
-      };
+    let updatedPrefs;
 
-      await this.storage.local.set({
-        [this.STORAGE_KEYS.PREFERENCES]: updatedPrefs,
+    try {
+      const synced = await this.getSyncedPreferences();
+      await this.update(this.STORAGE_KEYS.PREFERENCES, (localPrefs) => {
+        updatedPrefs = {
+          ...this.mergePreferences(localPrefs, synced),
+          ...preferences,
+          updatedAt: Date.now(),
+        };
+        return updatedPrefs;
       });
-
-      return { success: true };
     } catch (error) {
       return {
         success: false,
         error: 'Failed to store preferences',
       };
     }
+
+    try {
+      await this.storage.sync.set({
+        [this.STORAGE_KEYS.PREFERENCES]: updatedPrefs,
+      });
+    } catch (error) {
+      console.warn('Preferences saved locally only:', error.message);
+    }
+
+    return { success: true, data: updatedPrefs };
   }
 
   /**
@@ -179,12 +353,14 @@ class StorageManager {
       const result = await this.storage.local.get(
         this.STORAGE_KEYS.PREFERENCES,
       );
-      const preferences =
-        result[this.STORAGE_KEYS.PREFERENCES] || this.getDefaultPreferences();
+      const synced = await this.getSyncedPreferences();
 
       return {
         success: true,
-        data: preferences,
+        data: this.mergePreferences(
+          result[this.STORAGE_KEYS.PREFERENCES],
+          synced,
+        ),
       };
     } catch (error) {
       return {
@@ -195,6 +371,51 @@ class StorageManager {
     }
   }
 
+  /**
+   * Read preferences from storage.sync, or null when sync is unavailable
+   */
+  async getSyncedPreferences() {
+    try {
+      const result = await this.storage.sync.get(this.STORAGE_KEYS.PREFERENCES);
+      return result[this.STORAGE_KEYS.PREFERENCES] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Merge local and synced preferences over the defaults
+   * The copy with the newer updatedAt wins field by field; on a tie the
+   * synced copy wins, so every device settles on the same result
+   */
+  mergePreferences(localPrefs, syncedPrefs) {
+    const local = localPrefs || {};
+    const synced = syncedPrefs || {};
+    const [older, newer] =
+      (local.updatedAt || 0) > (synced.updatedAt || 0)
+        ? [synced, local]
+        : [local, synced];
+
+    return { ...this.getDefaultPreferences(), ...older, ...newer };
+  }
+
+  /**
+   * Call back with merged preferences whenever they change in any area
+   * Returns a function that removes the subscription
+   */
+  onPreferencesChanged(callback) {
+    const listener = async (changes) => {
+      if (!changes[this.STORAGE_KEYS.PREFERENCES]) {
+        return;
+      }
+      const preferences = await this.getPreferences();
+      callback(preferences.data);
+    };
+
+    this.storage.onChanged.addListener(listener);
+    return () => this.storage.onChanged.removeListener(listener);
+  }
+
   /**
    * Get default preferences
    */
@@ -204,35 +425,40 @@ class StorageManager {
       autoCloseDelay: 1500,
       showNotifications: true,
       defaultTags: [],
-      theme: 'light',
+      theme: 'system', // 'system', 'light' or 'dark'
     };
   }
 
   /**
-   * Add bookmark to offline queue
+   * Add an item to the offline queue
+   * The kind selects the replay handler used when the queue is processed
+   * (e.g. 'bookmark', 'note', 'bookmark:update', 'bookmark:delete')
+   * The id doubles as the Idempotency-Key when the item is replayed; pass the
+   * key of a request that may already have reached the server to reuse it
    */
-  async addToOfflineQueue(bookmarkData) {
+  async addToOfflineQueue(
+    payload,
+    kind = 'bookmark',
+    id = crypto.randomUUID(),
+  ) {
     try {
-      const result = await this.storage.local.get(
-        this.STORAGE_KEYS.OFFLINE_QUEUE,
-      );
-      const queue = result[this.STORAGE_KEYS.OFFLINE_QUEUE] || [];
-
-      queue.push({
-        ...bookmarkData,
-        id: Date.now() + Math.random(), // Temporary ID
+      const item = {
+        id,
+        kind,
+        payload,
         queuedAt: Date.now(),
-      });
+      };
 
-      await this.storage.local.set({
-        [this.STORAGE_KEYS.OFFLINE_QUEUE]: queue,
-      });
+      await this.update(this.STORAGE_KEYS.OFFLINE_QUEUE, (queue = []) => [
+        ...queue,
+        item,
+      ]);
 
-      return { success: true };
+      return { success: true, data: item };
     } catch (error) {
       return {
         success: false,
-        error: 'Failed to add bookmark to offline queue',
+        error: 'Failed to add item to offline queue',
       };
     }
   }
@@ -249,7 +475,7 @@ class StorageManager {
 
       return {
         success: true,
-        data: queue,
+        data: queue.map((item) => this.normalizeQueueItem(item)),
       };
     } catch (error) {
       return {
@@ -265,32 +491,297 @@ class StorageManager {
    */
   async removeFromOfflineQueue(itemId) {
     try {
-      const result = await this.storage.local.get(
-        this.STORAGE_KEYS.OFFLINE_QUEUE,
+      await this.update(this.STORAGE_KEYS.OFFLINE_QUEUE, (queue = []) =>
+        queue.filter((item) => item.id !== itemId),
       );
-      const queue = result[this.STORAGE_KEYS.OFFLINE_QUEUE] || [];
 
-      const updatedQueue = queue.filter((item) => item.id !== itemId);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to remove item from offline queue',
+      };
+    }
+  }
 
-      await this.storage.local.set({
-        [this.STORAGE_KEYS.OFFLINE_QUEUE]: updatedQueue,
+  /**
+   * Record a failed replay attempt for a queued item
+   * Schedules the next attempt with exponential backoff, and moves the item
+   * to the dead-letter list once it has failed permanently too many times
+   */
+  async recordOfflineQueueFailure(itemId, error) {
+    const { OFFLINE_QUEUE, DEAD_LETTER_QUEUE } = this.STORAGE_KEYS;
+
+    try {
+      let deadLettered = false;
+
+      await this.update([OFFLINE_QUEUE, DEAD_LETTER_QUEUE], (current) => {
+        const queue = current[OFFLINE_QUEUE] || [];
+        const deadLetters = current[DEAD_LETTER_QUEUE] || [];
+
+        const index = queue.findIndex((item) => item.id === itemId);
+        if (index === -1) {
+          return undefined;
+        }
+
+        const now = Date.now();
+        const item = this.normalizeQueueItem(queue[index]);
+        const attempts = (item.attempts || 0) + 1;
+        const permanentFailures =
+          (item.permanentFailures || 0) + (error?.retryable ? 0 : 1);
+        const delay = Math.min(
+          this.QUEUE_RETRY.baseDelay * 2 ** (attempts - 1),
+          this.QUEUE_RETRY.maxDelay,
+        );
+
+        const updatedItem = {
+          ...item,
+          attempts,
+          permanentFailures,
+          lastError: {
+            code: error?.code || 'UNKNOWN',
+            status: error?.status ?? null,
+            message: error?.message || 'An unexpected error occurred',
+          },
+          lastAttemptAt: now,
+          nextAttemptAt: now + delay,
+          sendingAt: null,
+        };
+
+        deadLettered =
+          permanentFailures >= this.QUEUE_RETRY.maxPermanentFailures;
+        if (deadLettered) {
+          queue.splice(index, 1);
+          deadLetters.push({
+            ...updatedItem,
+            nextAttemptAt: null,
+            deadLetteredAt: now,
+          });
+        } else {
+          queue[index] = updatedItem;
+        }
+
+        return {
+          [OFFLINE_QUEUE]: queue,
+          [DEAD_LETTER_QUEUE]: deadLetters,
+        };
       });
 
+      return { success: true, data: { deadLettered } };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to record offline queue failure',
+      };
+    }
+  }
+
+  /**
+   * Get items that failed permanently and need the user's attention
+   */
+  async getDeadLetterQueue() {
+    try {
+      const result = await this.storage.local.get(
+        this.STORAGE_KEYS.DEAD_LETTER_QUEUE,
+      );
+      const deadLetters = result[this.STORAGE_KEYS.DEAD_LETTER_QUEUE] || [];
+
+      return {
+        success: true,
+        data: deadLetters,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to retrieve dead-letter queue',
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Discard an item from the dead-letter list
+   */
+  async removeFromDeadLetterQueue(itemId) {
+    try {
+      await this.update(
+        this.STORAGE_KEYS.DEAD_LETTER_QUEUE,
+        (deadLetters = []) => deadLetters.filter((item) => item.id !== itemId),
+      );
+
       return { success: true };
     } catch (error) {
       return {
         success: false,
-        error: 'Failed to remove item from offline queue',
+        error: 'Failed to remove item from dead-letter queue',
+      };
+    }
+  }
+
+  /**
+   * Move a dead-letter item back into the offline queue for another try
+   * Optional payload changes let the user fix the item first
+   */
+  async requeueDeadLetterItem(itemId, changes = {}) {
+    const { OFFLINE_QUEUE, DEAD_LETTER_QUEUE } = this.STORAGE_KEYS;
+
+    try {
+      let requeued = null;
+
+      await this.update([OFFLINE_QUEUE, DEAD_LETTER_QUEUE], (current) => {
+        const deadLetters = current[DEAD_LETTER_QUEUE] || [];
+        const item = deadLetters.find((entry) => entry.id === itemId);
+        if (!item) {
+          return undefined;
+        }
+
+        requeued = {
+          id: item.id,
+          kind: item.kind,
+          payload: { ...item.payload, ...changes },
+          queuedAt: Date.now(),
+        };
+
+        return {
+          [OFFLINE_QUEUE]: [...(current[OFFLINE_QUEUE] || []), requeued],
+          [DEAD_LETTER_QUEUE]: deadLetters.filter(
+            (entry) => entry.id !== itemId,
+          ),
+        };
+      });
+
+      if (!requeued) {
+        return {
+          success: false,
+          error: 'Item is no longer in the dead-letter queue',
+        };
+      }
+
+      return { success: true, data: requeued };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to requeue item',
+      };
+    }
+  }
+
+  /**
+   * Normalize a queue entry to { id, kind, payload, queuedAt }
+   * Entries queued before kinds existed hold flat bookmark or note data
+   */
+  normalizeQueueItem(item) {
+    if (item.kind) {
+      return item;
+    }
+
+    const { id, queuedAt, ...payload } = item;
+    return {
+      id,
+      kind: payload.url ? 'bookmark' : 'note',
+      payload,
+      queuedAt,
+    };
+  }
+
+  /**
+   * Update a queued item's payload in place (e.g. when the user edits it
+   * before it syncs)
+   * Items being sent can't be edited: the edit would be lost once the sent
+   * copy is removed from the queue
+   */
+  async updateOfflineQueueItem(itemId, changes) {
+    try {
+      let updatedItem = null;
+      let sending = false;
+
+      await this.update(this.STORAGE_KEYS.OFFLINE_QUEUE, (queue = []) => {
+        const index = queue.findIndex((item) => item.id === itemId);
+        if (index === -1) {
+          return undefined;
+        }
+
+        const item = this.normalizeQueueItem(queue[index]);
+        if (this.isOfflineQueueItemSending(item)) {
+          sending = true;
+          return undefined;
+        }
+
+        updatedItem = { ...item, payload: { ...item.payload, ...changes } };
+        return queue.map((entry, i) => (i === index ? updatedItem : entry));
+      });
+
+      if (sending) {
+        return {
+          success: false,
+          error: 'This item is syncing right now. Try again in a moment.',
+        };
+      }
+      if (!updatedItem) {
+        return {
+          success: false,
+          error: 'Item is no longer in the offline queue',
+        };
+      }
+
+      return { success: true, data: updatedItem };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to update offline queue item',
       };
     }
   }
 
+  /**
+   * Mark a queued item as being sent, or clear the mark
+   * Returns the item as currently stored, so the sender replays the latest
+   * edit, or null when the item has left the queue
+   */
+  async setOfflineQueueItemSending(itemId, sending = true) {
+    try {
+      let currentItem = null;
+
+      await this.update(this.STORAGE_KEYS.OFFLINE_QUEUE, (queue = []) => {
+        const index = queue.findIndex((item) => item.id === itemId);
+        if (index === -1) {
+          return undefined;
+        }
+
+        currentItem = {
+          ...this.normalizeQueueItem(queue[index]),
+          sendingAt: sending ? Date.now() : null,
+        };
+        return queue.map((entry, i) => (i === index ? currentItem : entry));
+      });
+
+      return { success: true, data: currentItem };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to update offline queue item',
+        data: null,
+      };
+    }
+  }
+
+  /**
+   * Whether a queued item is being sent right now
+   * A mark left by a sender that stopped (e.g. a suspended worker) expires
+   */
+  isOfflineQueueItemSending(item) {
+    return (
+      !!item.sendingAt &&
+      Date.now() - item.sendingAt < this.QUEUE_RETRY.sendingTimeout
+    );
+  }
+
   /**
    * Clear offline queue
    */
   async clearOfflineQueue() {
     try {
-      await this.storage.local.remove(this.STORAGE_KEYS.OFFLINE_QUEUE);
+      await this.update(this.STORAGE_KEYS.OFFLINE_QUEUE, () => []);
       return { success: true };
     } catch (error) {
       return {
@@ -339,6 +830,205 @@ class StorageManager {
     }
   }
 
+  /**
+   * Cache the user's tags so every extension context can read them
+   * Unchanged tags are not rewritten, so listeners only hear real changes
+   */
+  async setTagCache(tags) {
+    try {
+      await this.update(this.STORAGE_KEYS.TAG_CACHE, (cache) => {
+        if (cache && JSON.stringify(cache.tags) === JSON.stringify(tags)) {
+          return undefined;
+        }
+        return { tags, updatedAt: Date.now() };
+      });
+
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to cache tags',
+      };
+    }
+  }
+
+  /**
+   * Get the cached tags, empty when they have never been fetched
+   */
+  async getTagCache() {
+    try {
+      const result = await this.storage.local.get(this.STORAGE_KEYS.TAG_CACHE);
+      const cache = result[this.STORAGE_KEYS.TAG_CACHE];
+
+      return {
+        success: true,
+        data: cache || { tags: [], updatedAt: 0 },
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to retrieve cached tags',
+        data: { tags: [], updatedAt: 0 },
+      };
+    }
+  }
+
+  /**
+   * Clear the cached tags
+   */
+  async clearTagCache() {
+    try {
+      await this.storage.local.remove(this.STORAGE_KEYS.TAG_CACHE);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to clear cached tags',
+      };
+    }
+  }
+
+  /**
+   * Call back with the cached tags whenever the cache changes
+   * Returns a function that removes the subscription
+   */
+  onTagCacheChanged(callback) {
+    const listener = (changes, areaName) => {
+      const change = changes[this.STORAGE_KEYS.TAG_CACHE];
+      if (areaName !== 'local' || !change) {
+        return;
+      }
+      callback(change.newValue?.tags || []);
+    };
+
+    this.storage.onChanged.addListener(listener);
+    return () => this.storage.onChanged.removeListener(listener);
+  }
+
+  /**
+   * Start a bookmark import job, replacing any previous one
+   * The item list is stored apart from the job so progress updates stay small
+   */
+  async createImportJob(source, items) {
+    try {
+      const job = {
+        id: crypto.randomUUID(),
+        source,
+        status: 'pending', // 'pending', 'running', 'paused' or 'completed'
+        total: items.length,
+        nextIndex: 0,
+        imported: 0,
+        failures: [],
+        lastError: null,
+        startedAt: Date.now(),
+        updatedAt: Date.now(),
+      };
+
+      await this.update(
+        [this.STORAGE_KEYS.IMPORT_JOB, this.STORAGE_KEYS.IMPORT_ITEMS],
+        () => ({
+          [this.STORAGE_KEYS.IMPORT_JOB]: job,
+          [this.STORAGE_KEYS.IMPORT_ITEMS]: items,
+        }),
+      );
+
+      return { success: true, data: job };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to start import',
+      };
+    }
+  }
+
+  /**
+   * Get the current import job, or null when there is none
+   */
+  async getImportJob() {
+    try {
+      const result = await this.storage.local.get(this.STORAGE_KEYS.IMPORT_JOB);
+
+      return {
+        success: true,
+        data: result[this.STORAGE_KEYS.IMPORT_JOB] || null,
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to retrieve import progress',
+        data: null,
+      };
+    }
+  }
+
+  /**
+   * Get the items of the current import job
+   */
+  async getImportItems() {
+    try {
+      const result = await this.storage.local.get(
+        this.STORAGE_KEYS.IMPORT_ITEMS,
+      );
+
+      return {
+        success: true,
+        data: result[this.STORAGE_KEYS.IMPORT_ITEMS] || [],
+      };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to retrieve import items',
+        data: [],
+      };
+    }
+  }
+
+  /**
+   * Record progress on the current import job
+   */
+  async updateImportJob(changes) {
+    try {
+      const job = await this.update(this.STORAGE_KEYS.IMPORT_JOB, (current) => {
+        if (!current) {
+          return undefined;
+        }
+        return { ...current, ...changes, updatedAt: Date.now() };
+      });
+
+      if (!job) {
+        return {
+          success: false,
+          error: 'The import was discarded',
+        };
+      }
+
+      return { success: true, data: job };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to save import progress',
+      };
+    }
+  }
+
+  /**
+   * Discard the current import job and its items
+   */
+  async clearImportJob() {
+    try {
+      await this.storage.local.remove([
+        this.STORAGE_KEYS.IMPORT_JOB,
+        this.STORAGE_KEYS.IMPORT_ITEMS,
+      ]);
+      return { success: true };
+    } catch (error) {
+      return {
+        success: false,
+        error: 'Failed to discard import',
+      };
+    }
+  }
+
   /**
    * Clear all data (logout)
    */
@@ -0,0 +1,86 @@
+/**
+ * Options Page Export Logic
+ * Builds an export with TurbodocExporter and saves it through the downloads API
+ */
+
+class TurbodocExport {
+  constructor(api) {
+    this.api = api;
+    this.exporter = new TurbodocExporter(this.api);
+    this.URL_LIFETIME = 60000; // ms to keep the download's blob URL alive
+
+    this.setupEventListeners();
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    const exportButton = document.getElementById('exportButton');
+    exportButton.addEventListener('click', () => this.handleExport());
+  }
+
+  /**
+   * Fetch everything in the chosen format and download it
+   */
+  async handleExport() {
+    const exportButton = document.getElementById('exportButton');
+    const format = document.getElementById('exportFormat').value;
+    const noun = format === 'markdown' ? 'notes' : 'bookmarks';
+
+    exportButton.disabled = true;
+    this.showStatus('Preparing export...');
+
+    try {
+      await this.api.init();
+      if (!this.api.isAuthenticated()) {
+        this.showStatus(
+          'Sign in from the Turbodoc toolbar button before exporting.',
+          true,
+        );
+        return;
+      }
+
+      const result = await this.exporter.export(format, (count) =>
+        this.showStatus(`Fetched ${count} ${noun}...`),
+      );
+      if (!result.success) {
+        this.showStatus(result.error?.message || 'Export failed.', true);
+        return;
+      }
+
+      const { content, filename, mimeType, count } = result.data;
+      const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+      // The download reads the blob after download() resolves
+      setTimeout(() => URL.revokeObjectURL(url), this.URL_LIFETIME);
+
+      await browserCompat.downloads.download({ url, filename, saveAs: true });
+      this.showStatus(`Exported ${count} ${noun}.`);
+    } catch (error) {
+      if (/cancel/i.test(error?.message || '')) {
+        this.showStatus('Export cancelled.');
+        return;
+      }
+      console.error('Export failed:', error);
+      this.showStatus('Could not save the export file.', true);
+    } finally {
+      exportButton.disabled = false;
+    }
+  }
+
+  /**
+   * Show an export status message
+   */
+  showStatus(message, isError = false) {
+    const status = document.getElementById('exportStatus');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TurbodocExport;
+} else if (typeof window !== 'undefined') {
+  window.TurbodocExport = TurbodocExport;
+}
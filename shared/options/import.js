@@ -0,0 +1,404 @@
+/**
+ * Options Page Import Logic
+ * Previews bookmarks from other sources and runs the import with BookmarkImporter
+ */
+
+class TurbodocImport {
+  constructor(api) {
+    this.api = api;
+    this.storage = new StorageManager(browserCompat);
+    this.importer = new BookmarkImporter(this.api, this.storage);
+    this.parser = new BookmarkFileParser();
+    this.preview = null;
+    this.isRunning = false;
+    this.PREVIEW_LIMIT = 50;
+
+    this.init();
+  }
+
+  /**
+   * Initialize the import section
+   */
+  async init() {
+    this.setupEventListeners();
+
+    // Offer to resume an import left unfinished by a closed tab
+    const job = await this.storage.getImportJob();
+    if (job.data) {
+      this.showProgress(job.data);
+    }
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    const previewBrowserImportButton = document.getElementById(
+      'previewBrowserImportButton',
+    );
+    previewBrowserImportButton.addEventListener('click', () =>
+      this.previewBrowserBookmarks(),
+    );
+
+    const importFileInput = document.getElementById('importFileInput');
+    const chooseImportFileButton = document.getElementById(
+      'chooseImportFileButton',
+    );
+    chooseImportFileButton.addEventListener('click', () =>
+      importFileInput.click(),
+    );
+    importFileInput.addEventListener('change', () => {
+      const [file] = importFileInput.files;
+      // Clear the input so choosing the same file again still fires
+      importFileInput.value = '';
+      if (file) {
+        this.previewFile(file);
+      }
+    });
+
+    const startImportButton = document.getElementById('startImportButton');
+    startImportButton.addEventListener('click', () => this.startImport());
+
+    const cancelImportButton = document.getElementById('cancelImportButton');
+    cancelImportButton.addEventListener('click', () => this.hidePreview());
+
+    const pauseImportButton = document.getElementById('pauseImportButton');
+    pauseImportButton.addEventListener('click', () => {
+      pauseImportButton.disabled = true;
+      this.importer.pause();
+    });
+
+    const resumeImportButton = document.getElementById('resumeImportButton');
+    resumeImportButton.addEventListener('click', () => this.resumeImport());
+
+    const discardImportButton = document.getElementById('discardImportButton');
+    discardImportButton.addEventListener('click', () => this.discardImport());
+  }
+
+  /**
+   * Read this browser's bookmarks and preview the import
+   */
+  async previewBrowserBookmarks() {
+    this.showStatus('');
+    try {
+      const tree = await browserCompat.bookmarks.getTree();
+      const entries = this.importer.collectBrowserBookmarks(tree);
+      const prepared = await this.prepareEntries(entries);
+      if (prepared) {
+        this.showPreview('browser', prepared);
+      }
+    } catch (error) {
+      console.error('Failed to read browser bookmarks:', error);
+      this.showStatus('Could not read your browser bookmarks.', true);
+    }
+  }
+
+  /**
+   * Read an exported bookmarks file and preview the import
+   */
+  async previewFile(file) {
+    this.showStatus('');
+    try {
+      const result = this.parser.parse(file.name, await file.text());
+      if (!result.success) {
+        this.hidePreview();
+        this.showStatus(result.error, true);
+        return;
+      }
+
+      const { format, label, entries, errors } = result.data;
+      const prepared = await this.prepareEntries(entries);
+      if (prepared) {
+        this.showPreview(format, prepared, errors, label);
+      }
+    } catch (error) {
+      console.error('Failed to read import file:', error);
+      this.showStatus('Could not read that file.', true);
+    }
+  }
+
+  /**
+   * Prepare entries for the preview, skipping URLs already in Turbodoc
+   * Returns null, with a status message, when the check can't be made
+   */
+  async prepareEntries(entries) {
+    this.hidePreview();
+    if (!(await this.ensureSignedIn())) {
+      return null;
+    }
+
+    this.showStatus('Checking your saved bookmarks...');
+    const saved = await this.importer.fetchSavedUrls();
+    if (!saved.success) {
+      this.showStatus(
+        saved.error?.message || 'Could not check your saved bookmarks.',
+        true,
+      );
+      return null;
+    }
+
+    this.showStatus('');
+    return this.importer.prepare(entries, saved.data);
+  }
+
+  /**
+   * Show what an import would upload without uploading anything
+   * Rows that could not be read and skipped entries are listed per row
+   */
+  showPreview(source, { items, skipped }, errors = [], label = null) {
+    this.preview = { source, items };
+
+    const reasons = {};
+    for (const entry of skipped) {
+      reasons[entry.reason] = (reasons[entry.reason] || 0) + 1;
+    }
+    const skippedText = Object.entries(reasons)
+      .map(([reason, count]) => `${count} × ${reason.toLowerCase()}`)
+      .join(', ');
+
+    let summary = `${items.length} bookmark${items.length === 1 ? '' : 's'} ready to import.`;
+    if (label) {
+      summary = `${label}: ${summary}`;
+    }
+    if (skipped.length > 0) {
+      summary += ` ${skipped.length} skipped (${skippedText}).`;
+    }
+    if (errors.length > 0) {
+      summary += ` ${errors.length} could not be read.`;
+    }
+    document.getElementById('importPreviewSummary').textContent = summary;
+    this.showPreviewIssues(errors, skipped);
+
+    const rows = document.getElementById('importPreviewRows');
+    rows.innerHTML = '';
+    for (const item of items.slice(0, this.PREVIEW_LIMIT)) {
+      const row = document.createElement('tr');
+      row.title = item.url;
+
+      const title = document.createElement('td');
+      title.textContent = item.title;
+      const tags = document.createElement('td');
+      tags.textContent = item.tags.join(', ');
+
+      row.append(title, tags);
+      rows.appendChild(row);
+    }
+
+    const remaining = items.length - this.PREVIEW_LIMIT;
+    document.getElementById('importPreviewMore').textContent =
+      remaining > 0 ? `…and ${remaining} more.` : '';
+
+    const startImportButton = document.getElementById('startImportButton');
+    startImportButton.textContent = `Import ${items.length} Bookmark${items.length === 1 ? '' : 's'}`;
+    startImportButton.disabled = items.length === 0;
+
+    document.getElementById('importProgress').classList.add('hidden');
+    document.getElementById('importPreview').classList.remove('hidden');
+  }
+
+  /**
+   * List unreadable rows and skipped entries in the preview
+   */
+  showPreviewIssues(errors, skipped) {
+    const issues = [
+      ...errors,
+      ...skipped.map((entry) => ({
+        row: entry.row ?? null,
+        message: `${entry.reason}: ${entry.url || entry.title}`,
+      })),
+    ].sort((a, b) => (a.row ?? 0) - (b.row ?? 0));
+
+    const list = document.getElementById('importPreviewIssueList');
+    list.innerHTML = '';
+    for (const issue of issues) {
+      const item = document.createElement('li');
+      if (issue.row !== null) {
+        item.append(`Row ${issue.row}: `);
+      }
+      const message = document.createElement('span');
+      message.className = 'failure-error';
+      message.textContent = issue.message;
+      item.appendChild(message);
+      list.appendChild(item);
+    }
+
+    document.getElementById('importPreviewIssuesSummary').textContent =
+      `${issues.length} row${issues.length === 1 ? '' : 's'} not imported`;
+    document
+      .getElementById('importPreviewIssues')
+      .classList.toggle('hidden', issues.length === 0);
+  }
+
+  /**
+   * Close the preview without importing
+   */
+  hidePreview() {
+    this.preview = null;
+    document.getElementById('importPreview').classList.add('hidden');
+  }
+
+  /**
+   * Upload the previewed bookmarks
+   */
+  async startImport() {
+    if (!this.preview || !(await this.ensureSignedIn())) {
+      return;
+    }
+
+    const { source, items } = this.preview;
+    this.hidePreview();
+    await this.runImport(() =>
+      this.importer.start(source, items, (job) => this.showProgress(job)),
+    );
+  }
+
+  /**
+   * Continue a paused or interrupted import
+   */
+  async resumeImport() {
+    if (!(await this.ensureSignedIn())) {
+      return;
+    }
+
+    await this.runImport(() =>
+      this.importer.resume((job) => this.showProgress(job)),
+    );
+  }
+
+  /**
+   * Run an import, keeping the controls in step with it
+   */
+  async runImport(run) {
+    this.isRunning = true;
+    this.showStatus('');
+    document.getElementById('importSourceActions').classList.add('hidden');
+
+    try {
+      const result = await run();
+      if (!result.success) {
+        this.showStatus(result.error, true);
+      }
+    } catch (error) {
+      console.error('Import failed:', error);
+      this.showStatus(
+        'The import stopped unexpectedly. Resume to retry.',
+        true,
+      );
+    } finally {
+      this.isRunning = false;
+    }
+
+    const job = await this.storage.getImportJob();
+    if (job.data) {
+      this.showProgress(job.data);
+    } else {
+      this.hideProgress();
+    }
+  }
+
+  /**
+   * Check that the user is signed in before uploading
+   */
+  async ensureSignedIn() {
+    await this.api.init();
+    if (this.api.isAuthenticated()) {
+      return true;
+    }
+
+    this.showStatus(
+      'Sign in from the Turbodoc toolbar button before importing.',
+      true,
+    );
+    return false;
+  }
+
+  /**
+   * Discard the current import, keeping what was already uploaded
+   */
+  async discardImport() {
+    const result = await this.storage.clearImportJob();
+    if (!result.success) {
+      this.showStatus(result.error, true);
+      return;
+    }
+    this.hideProgress();
+  }
+
+  /**
+   * Show an import's progress and the controls that apply to it
+   */
+  showProgress(job) {
+    document.getElementById('importProgress').classList.remove('hidden');
+    document.getElementById('importSourceActions').classList.add('hidden');
+
+    const bar = document.getElementById('importProgressBar');
+    bar.max = Math.max(job.total, 1);
+    bar.value = job.nextIndex;
+
+    const failed = job.failures.length;
+    let text;
+    if (job.status === 'completed') {
+      text = `Imported ${job.imported} of ${job.total} bookmarks.`;
+      if (failed > 0) {
+        text += ` ${failed} could not be imported:`;
+      }
+    } else if (this.isRunning) {
+      text = `Importing ${job.nextIndex} of ${job.total}...`;
+    } else {
+      // A "running" job nobody here is running was cut off by a closed tab
+      text = `Import paused at ${job.nextIndex} of ${job.total}.`;
+      if (job.lastError) {
+        text += ` ${job.lastError}`;
+      }
+    }
+    document.getElementById('importProgressText').textContent = text;
+
+    const failures = document.getElementById('importFailures');
+    failures.innerHTML = '';
+    for (const failure of job.failures) {
+      const item = document.createElement('li');
+      item.title = failure.url;
+      const error = document.createElement('span');
+      error.className = 'failure-error';
+      error.textContent = failure.error;
+      item.append(`${failure.title} — `, error);
+      failures.appendChild(item);
+    }
+
+    const completed = job.status === 'completed';
+    const pauseButton = document.getElementById('pauseImportButton');
+    pauseButton.classList.toggle('hidden', !this.isRunning);
+    pauseButton.disabled = false;
+
+    const resumeButton = document.getElementById('resumeImportButton');
+    resumeButton.classList.toggle('hidden', this.isRunning || completed);
+
+    const discardButton = document.getElementById('discardImportButton');
+    discardButton.classList.toggle('hidden', this.isRunning);
+    discardButton.textContent = completed ? 'Done' : 'Discard';
+  }
+
+  /**
+   * Hide import progress and offer the import sources again
+   */
+  hideProgress() {
+    document.getElementById('importProgress').classList.add('hidden');
+    document.getElementById('importSourceActions').classList.remove('hidden');
+  }
+
+  /**
+   * Show an import status message
+   */
+  showStatus(message, isError = false) {
+    const status = document.getElementById('importStatus');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+}
+
+// Export for different environments
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TurbodocImport;
+} else if (typeof window !== 'undefined') {
+  window.TurbodocImport = TurbodocImport;
+}
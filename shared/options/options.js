@@ -0,0 +1,244 @@
+/**
+ * Options Page Logic
+ * Edits the preferences defined in StorageManager.getDefaultPreferences
+ */
+
+class TurbodocOptions {
+  constructor() {
+    this.storage = new StorageManager(browserCompat);
+    this.form = document.getElementById('optionsForm');
+    this.isDirty = false;
+    this.MAX_DEFAULT_TAGS = 10;
+    this.MAX_TAG_LENGTH = 50;
+    this.THEMES = ['system', 'light', 'dark'];
+
+    this.init();
+  }
+
+  /**
+   * Initialize the options page
+   */
+  async init() {
+    const preferences = await this.storage.getPreferences();
+    this.fillForm(preferences.data);
+
+    this.setupEventListeners();
+    this.showShortcuts();
+
+    // Reflect changes made on another device or in another tab
+    this.storage.onPreferencesChanged((updated) => {
+      if (!this.isDirty) {
+        this.fillForm(updated);
+      }
+    });
+  }
+
+  /**
+   * Set up event listeners
+   */
+  setupEventListeners() {
+    this.form.addEventListener('submit', (e) => this.handleSave(e));
+    this.form.addEventListener('input', () => {
+      this.isDirty = true;
+      this.updateDependentFields();
+    });
+
+    const resetButton = document.getElementById('resetOptionsButton');
+    resetButton.addEventListener('click', () => this.handleReset());
+  }
+
+  /**
+   * Populate the form from preferences
+   */
+  fillForm(preferences) {
+    const elements = this.form.elements;
+    elements.defaultTags.value = (preferences.defaultTags || []).join(', ');
+    elements.autoClosePopup.checked = !!preferences.autoClosePopup;
+    elements.autoCloseDelay.value = (preferences.autoCloseDelay || 1500) / 1000;
+    elements.theme.value = preferences.theme;
+    document.documentElement.dataset.theme = preferences.theme;
+    elements.showNotifications.checked = !!preferences.showNotifications;
+
+    this.clearErrors();
+    this.updateDependentFields();
+    this.isDirty = false;
+  }
+
+  /**
+   * List the keyboard shortcuts and where to change them
+   */
+  async showShortcuts() {
+    const list = document.getElementById('shortcutList');
+    try {
+      const commands = await browserCompat.commands.getAll();
+      for (const command of commands) {
+        if (!command.description) {
+          continue;
+        }
+        const name = document.createElement('dt');
+        name.textContent = command.description;
+        const keys = document.createElement('dd');
+        keys.textContent = command.shortcut || 'Not set';
+        list.append(name, keys);
+      }
+    } catch (error) {
+      console.warn('Failed to load shortcuts:', error);
+    }
+
+    document.getElementById('shortcutHint').textContent =
+      browserCompat.isFirefox
+        ? 'Change shortcuts from about:addons → ⚙ → Manage Extension Shortcuts.'
+        : 'Change shortcuts at chrome://extensions/shortcuts.';
+  }
+
+  /**
+   * Disable fields that only apply when another option is on
+   */
+  updateDependentFields() {
+    const elements = this.form.elements;
+    elements.autoCloseDelay.disabled = !elements.autoClosePopup.checked;
+  }
+
+  /**
+   * Read and validate the form
+   * Returns the preferences to save and an error message per invalid field
+   */
+  validate() {
+    const elements = this.form.elements;
+    const errors = {};
+
+    const defaultTags = [
+      ...new Set(
+        elements.defaultTags.value
+          .split(',')
+          .map((tag) => tag.trim())
+          .filter((tag) => tag.length > 0),
+      ),
+    ];
+    if (defaultTags.length > this.MAX_DEFAULT_TAGS) {
+      errors.defaultTags = `Use at most ${this.MAX_DEFAULT_TAGS} default tags.`;
+    } else if (defaultTags.some((tag) => tag.length > this.MAX_TAG_LENGTH)) {
+      errors.defaultTags = `Tags can be at most ${this.MAX_TAG_LENGTH} characters.`;
+    } else if (defaultTags.some((tag) => tag.includes('|'))) {
+      errors.defaultTags = 'Tags cannot contain "|".';
+    }
+
+    const delaySeconds = Number(elements.autoCloseDelay.value);
+    if (
+      elements.autoClosePopup.checked &&
+      (!Number.isFinite(delaySeconds) ||
+        delaySeconds < 0.5 ||
+        delaySeconds > 10)
+    ) {
+      errors.autoCloseDelay = 'Enter a delay between 0.5 and 10 seconds.';
+    }
+
+    if (!this.THEMES.includes(elements.theme.value)) {
+      errors.theme = 'Choose a theme.';
+    }
+
+    const preferences = {
+      defaultTags,
+      autoClosePopup: elements.autoClosePopup.checked,
+      showNotifications: elements.showNotifications.checked,
+      theme: elements.theme.value,
+    };
+    if (!errors.autoCloseDelay && Number.isFinite(delaySeconds)) {
+      preferences.autoCloseDelay = Math.round(delaySeconds * 1000);
+    }
+
+    return { preferences, errors };
+  }
+
+  /**
+   * Handle options form submission
+   */
+  async handleSave(event) {
+    event.preventDefault();
+
+    const { preferences, errors } = this.validate();
+    this.showErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      this.showStatus('Please fix the highlighted fields.', true);
+      return;
+    }
+
+    await this.save(preferences, 'Settings saved');
+  }
+
+  /**
+   * Restore every preference to its default value
+   */
+  async handleReset() {
+    const defaults = this.storage.getDefaultPreferences();
+    const saved = await this.save(defaults, 'Defaults restored');
+    if (saved) {
+      this.fillForm(defaults);
+    }
+  }
+
+  /**
+   * Persist preferences and report the outcome
+   */
+  async save(preferences, successMessage) {
+    const saveButton = document.getElementById('saveOptionsButton');
+    saveButton.disabled = true;
+
+    try {
+      const result = await this.storage.setPreferences(preferences);
+      if (!result.success) {
+        this.showStatus(result.error, true);
+        return false;
+      }
+
+      this.isDirty = false;
+      this.showStatus(successMessage);
+      return true;
+    } finally {
+      saveButton.disabled = false;
+    }
+  }
+
+  /**
+   * Show validation errors next to their fields
+   */
+  showErrors(errors) {
+    this.clearErrors();
+    for (const [field, message] of Object.entries(errors)) {
+      this.form.elements[field].setAttribute('aria-invalid', 'true');
+      document.getElementById(`${field}Error`).textContent = message;
+    }
+  }
+
+  /**
+   * Clear all validation errors
+   */
+  clearErrors() {
+    this.form.querySelectorAll('[aria-invalid]').forEach((el) => {
+      el.removeAttribute('aria-invalid');
+    });
+    this.form.querySelectorAll('.field-error').forEach((el) => {
+      el.textContent = '';
+    });
+  }
+
+  /**
+   * Show a save status message
+   */
+  showStatus(message, isError = false) {
+    const status = document.getElementById('saveStatus');
+    status.textContent = message;
+    status.classList.toggle('error', isError);
+  }
+}
+
+// Initialize options page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new TurbodocOptions();
+
+  // Import and export share one API client so only one auth client
+  // refreshes the stored session
+  const api = new TurbodocAPI();
+  new TurbodocImport(api);
+  new TurbodocExport(api);
+});
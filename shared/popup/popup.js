@@ -9,10 +9,41 @@ class TurbodocPopup {
     this.storage = new StorageManager(browserCompat);
     this.currentState = 'loading';
     this.currentTab = null;
+    this.savingTabsLabel = null;
+    this.tabPickerRows = new Map();
     this.availableTags = [];
     this.selectedTags = new Set();
+    this.TAG_FIELDS = {
+      bookmark: {
+        chips: 'tagSuggestionsChips',
+        input: 'tags',
+        suggestions: 'tagsSuggestions',
+      },
+      tabPicker: {
+        chips: 'tabPickerTagChips',
+        input: 'tabPickerTags',
+        suggestions: 'tabPickerTagSuggestions',
+      },
+    };
+    this.tagFields = this.TAG_FIELDS.bookmark;
     this.tagsCache = null;
     this.tagsCacheExpiry = null;
+    this.existingBookmark = null;
+    this.editingBookmark = null;
+    this.lastSavedBookmark = null;
+    this.autoCloseTimer = null;
+    this.bookmarkTagFilters = new Set();
+    this.bookmarkListCursor = null;
+    this.bookmarkSearchSeq = 0;
+    this.bookmarkSearchTimer = null;
+    this.editingNote = null;
+    this.noteListCursor = null;
+    this.noteSearchSeq = 0;
+    this.noteSearchTimer = null;
+    this.queueItems = [];
+    this.deadLetters = [];
+    this.queueSyncing = false;
+    this.preferences = this.storage.getDefaultPreferences();
     this.CACHE_DURATION = 5 * 60 * 1000; // 5 minutes
 
     this.init();
@@ -23,6 +54,13 @@ class TurbodocPopup {
    */
   async init() {
     try {
+      // Load preferences first so the theme applies before anything renders
+      const preferences = await this.storage.getPreferences();
+      this.applyPreferences(preferences.data);
+      this.storage.onPreferencesChanged((updated) =>
+        this.applyPreferences(updated),
+      );
+
       // Get current tab information
       await this.getCurrentTab();
 
@@ -52,6 +90,12 @@ class TurbodocPopup {
     } catch (error) {
       console.error('Failed to get current tab:', error);
     }
+
+    // Tab groups only exist in Chrome; ungrouped tabs have a group id of -1
+    const inGroup = !!browserCompat.tabGroups && this.currentTab?.groupId >= 0;
+    document
+      .getElementById('saveTabGroupButton')
+      .classList.toggle('hidden', !inGroup);
   }
 
   /**
@@ -63,8 +107,15 @@ class TurbodocPopup {
       await this.api.init();
 
       if (this.api.isAuthenticated()) {
-        // User is already authenticated via Supabase session
-        this.showBookmarkForm();
+        // User is already authenticated via Supabase session; a keyboard
+        // shortcut may have asked for a specific view
+        const pendingView = await this.getPendingView();
+        if (pendingView === 'note') {
+          this.showNoteForm();
+        } else {
+          await this.showBookmarkView();
+        }
+        await this.refreshQueueIndicators();
       } else {
         // Show login form
         this.showLogin();
@@ -75,6 +126,20 @@ class TurbodocPopup {
     }
   }
 
+  /**
+   * Ask the background which view a keyboard shortcut opened the popup for
+   */
+  async getPendingView() {
+    try {
+      const response = await browserCompat.runtime.sendMessage({
+        type: 'GET_PENDING_POPUP_VIEW',
+      });
+      return response?.view || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
   /**
    * Set up event listeners
    */
@@ -106,6 +171,10 @@ class TurbodocPopup {
     const signOutButton = document.getElementById('signOutButton');
     signOutButton.addEventListener('click', () => this.handleLogout());
 
+    // Settings button in footer
+    const openOptionsButton = document.getElementById('openOptionsButton');
+    openOptionsButton.addEventListener('click', () => this.openOptionsPage());
+
     // Bookmark success state buttons
     const saveAnotherBookmarkButton = document.getElementById(
       'saveAnotherBookmarkButton',
@@ -114,6 +183,29 @@ class TurbodocPopup {
       this.showBookmarkForm(),
     );
 
+    const editSavedBookmarkButton = document.getElementById(
+      'editSavedBookmarkButton',
+    );
+    editSavedBookmarkButton.addEventListener('click', () => {
+      this.cancelAutoClose();
+      this.showBookmarkForm(this.lastSavedBookmark);
+    });
+
+    const removeSavedBookmarkButton = document.getElementById(
+      'removeSavedBookmarkButton',
+    );
+    removeSavedBookmarkButton.addEventListener('click', () =>
+      this.handleRemoveBookmark(),
+    );
+
+    // Keep the popup open while the user reaches for the success actions
+    const bookmarkSuccessActions = document.getElementById(
+      'bookmarkSuccessActions',
+    );
+    bookmarkSuccessActions.addEventListener('mouseenter', () =>
+      this.cancelAutoClose(),
+    );
+
     // Note success state buttons
     const saveAnotherNoteButton = document.getElementById(
       'saveAnotherNoteButton',
@@ -132,14 +224,100 @@ class TurbodocPopup {
     addNoteButton.addEventListener('click', () => this.showNoteForm());
 
     const addBookmarkButton = document.getElementById('addBookmarkButton');
-    addBookmarkButton.addEventListener('click', () => this.showBookmarkForm());
+    addBookmarkButton.addEventListener('click', () => this.showBookmarkView());
+
+    // Bookmark list
+    const viewBookmarksButton = document.getElementById('viewBookmarksButton');
+    viewBookmarksButton.addEventListener('click', () =>
+      this.showBookmarkList(),
+    );
+
+    const bookmarkSearch = document.getElementById('bookmarkSearch');
+    bookmarkSearch.addEventListener('input', () =>
+      this.scheduleBookmarkSearch(),
+    );
+
+    const bookmarkStatusFilter = document.getElementById(
+      'bookmarkStatusFilter',
+    );
+    bookmarkStatusFilter.addEventListener('change', () =>
+      this.searchBookmarks(),
+    );
 
-    // Tags input for autocomplete
-    const tagsInput = document.getElementById('tags');
-    tagsInput.addEventListener('input', (e) => this.handleTagsInput(e));
-    tagsInput.addEventListener('focus', () => this.showTagsSuggestions());
-    tagsInput.addEventListener('blur', () => this.hideTagsSuggestions());
-    tagsInput.addEventListener('change', () => this.parseTagsFromInput());
+    const loadMoreBookmarksButton = document.getElementById(
+      'loadMoreBookmarksButton',
+    );
+    loadMoreBookmarksButton.addEventListener('click', () =>
+      this.searchBookmarks({ append: true }),
+    );
+
+    // Note list
+    const viewNotesButton = document.getElementById('viewNotesButton');
+    viewNotesButton.addEventListener('click', () => this.showNoteList());
+
+    const noteSearch = document.getElementById('noteSearch');
+    noteSearch.addEventListener('input', () => this.scheduleNoteSearch());
+
+    const loadMoreNotesButton = document.getElementById('loadMoreNotesButton');
+    loadMoreNotesButton.addEventListener('click', () =>
+      this.searchNotes({ append: true }),
+    );
+
+    // Offline queue
+    const reviewQueueButton = document.getElementById('reviewQueueButton');
+    reviewQueueButton.addEventListener('click', () => this.showQueue());
+
+    const viewQueueButton = document.getElementById('viewQueueButton');
+    viewQueueButton.addEventListener('click', () => this.showQueue());
+
+    const syncQueueButton = document.getElementById('syncQueueButton');
+    syncQueueButton.addEventListener('click', () => this.syncQueue());
+
+    // Pick tabs from the window, or save the whole tab group
+    const selectTabsButton = document.getElementById('selectTabsButton');
+    selectTabsButton.addEventListener('click', () => this.showTabPicker());
+
+    const tabPickerForm = document.getElementById('tabPickerForm');
+    tabPickerForm.addEventListener('submit', (e) =>
+      this.handleSaveSelectedTabs(e),
+    );
+
+    const tabPickerSelectAll = document.getElementById('tabPickerSelectAll');
+    tabPickerSelectAll.addEventListener('change', () =>
+      this.selectAllTabs(tabPickerSelectAll.checked),
+    );
+
+    const saveTabGroupButton = document.getElementById('saveTabGroupButton');
+    saveTabGroupButton.addEventListener('click', () =>
+      this.saveTabs('group', saveTabGroupButton),
+    );
+
+    // Live progress while the background replays the queue or saves tabs
+    browserCompat.runtime.onMessage.addListener((message) => {
+      if (message.type === 'OFFLINE_QUEUE_PROGRESS') {
+        this.handleQueueProgress(message);
+      } else if (message.type === 'SAVE_TABS_PROGRESS') {
+        this.handleSaveTabsProgress(message);
+      }
+    });
+
+    // Already saved state buttons
+    const updateExistingButton = document.getElementById(
+      'updateExistingButton',
+    );
+    updateExistingButton.addEventListener('click', () =>
+      this.showBookmarkForm(this.existingBookmark),
+    );
+
+    // Tags inputs for autocomplete; the handlers act on this.tagFields,
+    // which follows the form being shown
+    for (const fields of Object.values(this.TAG_FIELDS)) {
+      const tagsInput = document.getElementById(fields.input);
+      tagsInput.addEventListener('input', (e) => this.handleTagsInput(e));
+      tagsInput.addEventListener('focus', () => this.showTagsSuggestions());
+      tagsInput.addEventListener('blur', () => this.hideTagsSuggestions());
+      tagsInput.addEventListener('change', () => this.parseTagsFromInput());
+    }
   }
 
   /**
@@ -168,10 +346,13 @@ class TurbodocPopup {
         // Load user tags
         // await this.loadUserTags(); TODO: Uncomment when endpoint exists
 
-        // Show bookmark form
-        this.showBookmarkForm();
+        // Show bookmark form (or the existing bookmark for this page)
+        await this.showBookmarkView();
+        await this.refreshQueueIndicators();
       } else {
-        this.showError(result.error || 'Login failed. Please try again.');
+        this.showError(
+          result.error?.message || 'Login failed. Please try again.',
+        );
       }
     } catch (error) {
       console.error('Login error:', error);
@@ -236,33 +417,59 @@ class TurbodocPopup {
     };
 
     try {
-      const result = await this.api.createBookmark(bookmarkData);
+      if (this.editingBookmark) {
+        await this.saveBookmarkChanges(bookmarkData);
+        return;
+      }
+
+      // Reuse the key if the save has to be queued, so it is applied once
+      const idempotencyKey = crypto.randomUUID();
+      const result = await this.api.createBookmark(bookmarkData, {
+        idempotencyKey,
+      });
 
       if (result.success) {
+        this.lastSavedBookmark = {
+          source: 'api',
+          id: result.data?.id,
+          title: bookmarkData.title,
+          url: bookmarkData.url,
+          tags: this.splitTags(bookmarkData.tags),
+        };
         this.showSuccess();
 
         // Auto-close popup if preference is enabled
-        const preferences = await this.storage.getPreferences();
-        if (preferences.data?.autoClosePopup) {
-          setTimeout(() => {
-            window.close();
-          }, preferences.data?.autoCloseDelay || 1500);
-        }
+        this.scheduleAutoClose();
       } else {
-        // Try to save to offline queue if network error
-        if (
-          result.error.includes('Network') ||
-          result.error.includes('Server')
-        ) {
-          await this.storage.addToOfflineQueue(bookmarkData);
+        // Try to save to offline queue if the failure is transient
+        if (result.error?.retryable) {
+          const queueResult = await this.storage.addToOfflineQueue(
+            bookmarkData,
+            'bookmark',
+            idempotencyKey,
+          );
+          this.lastSavedBookmark = null;
+          if (queueResult.success) {
+            this.notifyQueueChanged();
+            this.lastSavedBookmark = {
+              source: 'queue',
+              id: queueResult.data.id,
+              title: bookmarkData.title,
+              url: bookmarkData.url,
+              tags: this.splitTags(bookmarkData.tags),
+            };
+          }
           this.showToast(
             'Bookmark saved offline. Will sync when connection is restored.',
             'info',
           );
           this.showSuccess();
+        } else if (result.error?.code === 'UNAUTHORIZED') {
+          this.handleSessionExpired();
         } else {
           this.showError(
-            result.error || 'Failed to save bookmark. Please try again.',
+            result.error?.message ||
+              'Failed to save bookmark. Please try again.',
           );
         }
       }
@@ -271,216 +478,712 @@ class TurbodocPopup {
       this.showError('Network error. Please check your connection.');
     } finally {
       // Reset button state
-      buttonText.textContent = 'Save Bookmark';
+      buttonText.textContent = this.editingBookmark
+        ? 'Update Bookmark'
+        : 'Save Bookmark';
       buttonSpinner.classList.add('hidden');
       saveButton.disabled = false;
     }
   }
 
   /**
-   * Handle note save
+   * Apply form changes to the bookmark being edited
+   * Queued bookmarks are edited in place so they still sync as one create
    */
-  async handleSaveNote(event) {
-    event.preventDefault();
+  async saveBookmarkChanges(bookmarkData) {
+    const bookmark = this.editingBookmark;
+    if (bookmark.source === 'deadLetter') {
+      await this.retryDeadLetter(bookmark.id, bookmarkData);
+      return;
+    }
 
-    const saveButton = document.getElementById('saveNoteButton');
-    const buttonText = saveButton.querySelector('.btn-text');
-    const buttonSpinner = saveButton.querySelector('.btn-spinner');
+    let result =
+      bookmark.source === 'queue'
+        ? await this.storage.updateOfflineQueueItem(bookmark.id, bookmarkData)
+        : await this.api.updateBookmark(bookmark.id, bookmarkData);
 
-    // Show loading state
-    buttonText.textContent = 'Saving...';
-    buttonSpinner.classList.remove('hidden');
-    saveButton.disabled = true;
+    if (result.error?.retryable) {
+      result = await this.storage.addToOfflineQueue(
+        { id: bookmark.id, patch: bookmarkData },
+        'bookmark:update',
+      );
+      if (result.success) {
+        this.notifyQueueChanged();
+        this.showToast(
+          'Changes saved offline. Will sync when connection is restored.',
+          'info',
+        );
+      }
+    }
 
-    const formData = new FormData(event.target);
-    const noteData = {
-      title: formData.get('noteTitle') || '',
-      content: formData.get('noteContent'),
-    };
+    if (result.success) {
+      this.editingBookmark = null;
+      this.lastSavedBookmark = {
+        ...bookmark,
+        title: bookmarkData.title,
+        tags: this.splitTags(bookmarkData.tags),
+      };
+      this.showSuccess('bookmark', 'Bookmark Updated!');
+    } else if (result.error?.code === 'UNAUTHORIZED') {
+      this.handleSessionExpired();
+    } else {
+      this.showError(
+        result.error?.message ||
+          result.error ||
+          'Failed to update bookmark. Please try again.',
+      );
+    }
+  }
+
+  /**
+   * Remove the bookmark that was just saved
+   */
+  async handleRemoveBookmark() {
+    this.cancelAutoClose();
+
+    const bookmark = this.lastSavedBookmark;
+    if (!bookmark) {
+      return;
+    }
+
+    const removeButton = document.getElementById('removeSavedBookmarkButton');
+    removeButton.disabled = true;
 
     try {
-      const result = await this.api.createNote(noteData);
+      let queueChanged = bookmark.source === 'queue';
+      let result = queueChanged
+        ? await this.storage.removeFromOfflineQueue(bookmark.id)
+        : await this.api.deleteBookmark(bookmark.id);
+
+      if (result.error?.retryable) {
+        queueChanged = true;
+        result = await this.storage.addToOfflineQueue(
+          { id: bookmark.id },
+          'bookmark:delete',
+        );
+      }
 
       if (result.success) {
-        this.showSuccess('note');
-
-        // Auto-close popup if preference is enabled
-        const preferences = await this.storage.getPreferences();
-        if (preferences.data?.autoClosePopup) {
-          setTimeout(() => {
-            window.close();
-          }, preferences.data?.autoCloseDelay || 1500);
+        if (queueChanged) {
+          this.notifyQueueChanged();
         }
+        this.lastSavedBookmark = null;
+        this.showToast('Bookmark removed', 'success');
+        this.showBookmarkForm();
+      } else if (result.error?.code === 'UNAUTHORIZED') {
+        this.handleSessionExpired();
       } else {
-        // Try to save to offline queue if network error
-        if (
-          result.error.includes('Network') ||
-          result.error.includes('Server')
-        ) {
-          await this.storage.addToOfflineQueue(noteData);
-          this.showToast(
-            'Note saved offline. Will sync when connection is restored.',
-            'info',
-          );
-          this.showSuccess('note');
-        } else {
-          this.showError(
-            result.error || 'Failed to save note. Please try again.',
-          );
-        }
+        this.showToast(
+          result.error?.message || result.error || 'Failed to remove bookmark',
+          'error',
+        );
       }
     } catch (error) {
-      console.error('Save note error:', error);
-      this.showError('Network error. Please check your connection.');
+      console.error('Remove bookmark error:', error);
+      this.showToast('Failed to remove bookmark', 'error');
     } finally {
-      // Reset button state
-      buttonText.textContent = 'Save Note';
-      buttonSpinner.classList.add('hidden');
-      saveButton.disabled = false;
+      removeButton.disabled = false;
     }
   }
 
   /**
-   * Handle logout
+   * Close the popup after a delay if the preference is enabled
    */
-  async handleLogout() {
+  scheduleAutoClose() {
+    if (this.preferences.autoClosePopup) {
+      this.cancelAutoClose();
+      this.autoCloseTimer = setTimeout(() => {
+        window.close();
+      }, this.preferences.autoCloseDelay || 1500);
+    }
+  }
+
+  /**
+   * Ask the background to save every tab in the window or tab group
+   */
+  async saveTabs(scope, button) {
+    if (this.savingTabsLabel) {
+      return;
+    }
+
+    const label = button.textContent;
+    this.savingTabsLabel = button;
+    button.disabled = true;
+    button.textContent = 'Saving tabs...';
+
     try {
-      await this.api.logout();
-      this.showLogin();
+      const response = await browserCompat.runtime.sendMessage({
+        type: 'SAVE_TABS',
+        scope,
+        windowId: this.currentTab?.windowId,
+        groupId: this.currentTab?.groupId,
+      });
+
+      if (response?.success) {
+        const hasFailures = response.data.failed > 0;
+        this.showToast(response.message, hasFailures ? 'error' : 'success');
+      } else {
+        this.showToast(response?.error || 'Failed to save tabs', 'error');
+      }
+      await this.refreshQueueIndicators();
     } catch (error) {
-      console.error('Logout error:', error);
-      // Show login even if logout fails
-      this.showLogin();
+      console.error('Save tabs error:', error);
+      this.showToast('Failed to save tabs', 'error');
+    } finally {
+      this.savingTabsLabel = null;
+      button.disabled = false;
+      button.textContent = label;
     }
   }
 
   /**
-   * Parse tags from input string
+   * Show batch tab save progress on the button that started it and on the
+   * tab picker row of the tab just saved
    */
-  parseTags(tagsString) {
-    if (!tagsString) {
-      return '';
+  handleSaveTabsProgress(progress) {
+    if (this.savingTabsLabel) {
+      this.savingTabsLabel.textContent = `Saving ${progress.completed} of ${progress.total}...`;
     }
-    return tagsString
-      .split(',')
-      .map((tag) => tag.trim())
-      .filter((tag) => tag.length > 0)
-      .join('|');
+    this.setTabPickerStatus(progress.url, progress.status);
   }
 
   /**
-   * Load user tags for autocomplete with caching
+   * Show the tab picker with every tab in the current window
    */
-  async loadUserTags() {
+  async showTabPicker() {
+    this.hideAllStates();
+    document.getElementById('tabPickerState').classList.remove('hidden');
+    document.getElementById('popupFooter').classList.remove('hidden');
+    this.currentState = 'tabPicker';
+
+    document.getElementById('addBookmarkButton').classList.remove('hidden');
+    document.getElementById('addNoteButton').classList.remove('hidden');
+
+    // Share the bookmark form's tag chips and suggestions, starting from the
+    // default tags
+    this.tagFields = this.TAG_FIELDS.tabPicker;
+    this.selectedTags = new Set(this.preferences.defaultTags || []);
+    this.updateTagsInput();
+    this.loadUserTags();
+
+    const list = document.getElementById('tabPickerList');
+    list.innerHTML = '';
+    this.tabPickerRows.clear();
+
+    let tabs = [];
     try {
-      // Check cache first
-      const now = Date.now();
-      if (
-        this.tagsCache &&
-        this.tagsCacheExpiry &&
-        now < this.tagsCacheExpiry
-      ) {
-        this.availableTags = this.tagsCache;
-        this.displayTagChips();
-        return;
-      }
+      tabs = await browserCompat.tabs.query({ currentWindow: true });
+    } catch (error) {
+      console.error('Failed to list tabs:', error);
+      this.showToast('Could not list the open tabs', 'error');
+    }
 
-      const result = await this.api.getUserTags();
-      if (result.success) {
-        this.availableTags = result.data || [];
-        // Cache the results
-        this.tagsCache = this.availableTags;
-        this.tagsCacheExpiry = now + this.CACHE_DURATION;
-        this.displayTagChips();
-      } else {
-        console.warn('Failed to load user tags:', result.error);
-        this.availableTags = [];
+    for (const tab of tabs) {
+      // A URL open in several tabs is only listed once
+      if (!tab.url || this.tabPickerRows.has(tab.url)) {
+        continue;
       }
-    } catch (error) {
-      console.error('Failed to load user tags:', error);
-      this.availableTags = [];
+      const row = this.createTabPickerItem(tab);
+      this.tabPickerRows.set(tab.url, row);
+      list.appendChild(row);
     }
+
+    document.getElementById('tabPickerSelectAll').checked = true;
+    this.updateTabPickerCount();
   }
 
   /**
-   * Handle tags input for autocomplete
+   * Create a tab picker row with a checkbox, editable title and status
    */
-  handleTagsInput(event) {
-    const input = event.target.value;
-    const currentTags = input
-      .split(',')
-      .map((tag) => tag.trim())
-      .filter((tag) => tag.length > 0);
-    const lastTag = currentTags[currentTags.length - 1] || '';
-
-    if (lastTag.length > 0) {
-      const suggestions = this.availableTags.filter(
-        (tag) =>
-          tag.toLowerCase().includes(lastTag.toLowerCase()) &&
-          !currentTags.includes(tag),
-      );
-      this.showTagsSuggestions(suggestions, lastTag);
-    } else {
-      this.hideTagsSuggestions();
+  createTabPickerItem(tab) {
+    const saveable = this.isSaveableUrl(tab.url);
+
+    const row = document.createElement('li');
+    row.className = 'result-item tab-picker-item';
+    row.classList.toggle('unsaveable', !saveable);
+    row.title = tab.url;
+    row.dataset.url = tab.url;
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'tab-picker-checkbox';
+    checkbox.checked = saveable;
+    checkbox.disabled = !saveable;
+    checkbox.setAttribute('aria-label', 'Save this tab');
+    checkbox.addEventListener('change', () => this.updateTabPickerCount());
+
+    const details = document.createElement('div');
+    details.className = 'tab-picker-details';
+
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.className = 'tab-picker-title';
+    title.value = tab.title || tab.url;
+    title.disabled = !saveable;
+    title.setAttribute('aria-label', 'Bookmark title');
+
+    const meta = document.createElement('span');
+    meta.className = 'result-meta';
+    meta.textContent = this.getHostname(tab.url);
+
+    const status = document.createElement('span');
+    status.className = 'tab-picker-status';
+    if (!saveable) {
+      status.textContent = 'Cannot be saved';
     }
+
+    details.append(title, meta);
+    row.append(checkbox, details, status);
+    return row;
   }
 
   /**
-   * Show tags suggestions
+   * Check whether a tab's URL can be saved as a bookmark
    */
-  showTagsSuggestions(suggestions = [], _currentTag = '') {
-    const container = document.getElementById('tagsSuggestions');
-
-    if (!suggestions || suggestions.length === 0) {
-      container.innerHTML = '';
-      container.classList.remove('visible');
-      return;
+  isSaveableUrl(url) {
+    try {
+      const { protocol } = new URL(url);
+      return protocol === 'http:' || protocol === 'https:';
+    } catch (error) {
+      return false;
     }
+  }
 
-    const suggestionsHTML = suggestions
-      .slice(0, 5) // Limit to 5 suggestions
-      .map(
-        (tag) => `
-        <div class="tag-suggestion" data-tag="${tag}">
-          ${tag}
-        </div>
-      `,
-      )
-      .join('');
+  /**
+   * Check or uncheck every saveable tab
+   */
+  selectAllTabs(checked) {
+    for (const row of this.tabPickerRows.values()) {
+      const checkbox = row.querySelector('.tab-picker-checkbox');
+      if (!checkbox.disabled) {
+        checkbox.checked = checked;
+      }
+    }
+    this.updateTabPickerCount();
+  }
 
-    container.innerHTML = suggestionsHTML;
-    container.classList.add('visible');
+  /**
+   * Get the picker rows whose tabs are checked
+   */
+  getSelectedTabRows() {
+    return [...this.tabPickerRows.values()].filter(
+      (row) => row.querySelector('.tab-picker-checkbox').checked,
+    );
+  }
 
-    // Add click listeners to suggestions
-    container.querySelectorAll('.tag-suggestion').forEach((el) => {
-      el.addEventListener('click', () => {
-        this.selectTag(el.dataset.tag);
-      });
-    });
+  /**
+   * Show how many tabs are selected and keep the save button in step
+   */
+  updateTabPickerCount() {
+    const selected = this.getSelectedTabRows().length;
+    document.getElementById('tabPickerCount').textContent =
+      `${selected} of ${this.tabPickerRows.size} selected`;
+    document.getElementById('saveTabsButton').disabled =
+      selected === 0 || !!this.savingTabsLabel;
   }
 
   /**
-   * Hide tags suggestions
+   * Show a tab's save status on its picker row
    */
-  hideTagsSuggestions() {
-    setTimeout(() => {
-      const container = document.getElementById('tagsSuggestions');
-      container.classList.remove('visible');
-    }, 150);
+  setTabPickerStatus(url, status, error = null) {
+    const row = this.tabPickerRows.get(url);
+    if (!row) {
+      return;
+    }
+
+    const labels = {
+      saving: 'Saving...',
+      saved: 'Saved',
+      queued: 'Queued offline',
+      failed: 'Failed',
+    };
+    const element = row.querySelector('.tab-picker-status');
+    element.className = `tab-picker-status ${status}`;
+    element.textContent = (status === 'failed' && error) || labels[status];
+    element.title = error || '';
   }
 
   /**
-   * Display tag suggestion chips
+   * Save the checked tabs as one batch with the shared tags
    */
-  displayTagChips() {
-    const container = document.getElementById('tagSuggestionsChips');
-    if (!container || !this.availableTags.length) {
+  async handleSaveSelectedTabs(event) {
+    event.preventDefault();
+    if (this.savingTabsLabel) {
       return;
     }
 
-    const chipsHTML = this.availableTags
-      .slice(0, 7)
-      .map((tagData) => {
+    const rows = this.getSelectedTabRows();
+    if (rows.length === 0) {
+      return;
+    }
+
+    this.parseTagsFromInput();
+    const tabs = rows.map((row) => {
+      const url = row.dataset.url;
+      const title = row.querySelector('.tab-picker-title').value.trim();
+      this.setTabPickerStatus(url, 'saving');
+      return { url, title: title || url };
+    });
+
+    const saveButton = document.getElementById('saveTabsButton');
+    const buttonText = saveButton.querySelector('.btn-text');
+    const buttonSpinner = saveButton.querySelector('.btn-spinner');
+    buttonText.textContent = 'Saving...';
+    buttonSpinner.classList.remove('hidden');
+    saveButton.disabled = true;
+    this.savingTabsLabel = buttonText;
+
+    try {
+      const response = await browserCompat.runtime.sendMessage({
+        type: 'SAVE_TABS',
+        scope: 'tabs',
+        tabs,
+        tags: Array.from(this.selectedTags),
+      });
+
+      if (!response?.success) {
+        if (!this.api.isAuthenticated()) {
+          this.handleSessionExpired();
+          return;
+        }
+        throw new Error(response?.error || 'Failed to save tabs');
+      }
+
+      // Uncheck saved and queued tabs so saving again only retries failures
+      for (const result of response.data.results) {
+        this.setTabPickerStatus(result.url, result.status, result.error);
+        if (result.status !== 'failed') {
+          const row = this.tabPickerRows.get(result.url);
+          row.querySelector('.tab-picker-checkbox').checked = false;
+        }
+      }
+
+      const hasFailures = response.data.failed > 0;
+      this.showToast(response.message, hasFailures ? 'error' : 'success');
+      await this.refreshQueueIndicators();
+    } catch (error) {
+      console.error('Save selected tabs error:', error);
+      for (const row of rows) {
+        this.setTabPickerStatus(row.dataset.url, 'failed');
+      }
+      this.showToast('Failed to save tabs', 'error');
+    } finally {
+      this.savingTabsLabel = null;
+      buttonText.textContent = 'Save Selected Tabs';
+      buttonSpinner.classList.add('hidden');
+      this.updateTabPickerCount();
+    }
+  }
+
+  /**
+   * Open the extension's options page
+   */
+  async openOptionsPage() {
+    try {
+      await browserCompat.runtime.openOptionsPage();
+      window.close();
+    } catch (error) {
+      console.error('Failed to open options page:', error);
+    }
+  }
+
+  /**
+   * Apply preferences to the open popup
+   */
+  applyPreferences(preferences) {
+    this.preferences = preferences;
+    this.applyTheme(preferences.theme);
+  }
+
+  /**
+   * Switch the popup between the light, dark and system themes
+   * The system theme follows prefers-color-scheme in popup.css
+   */
+  applyTheme(theme) {
+    document.documentElement.dataset.theme = ['light', 'dark'].includes(theme)
+      ? theme
+      : 'system';
+  }
+
+  /**
+   * Cancel a pending auto-close
+   */
+  cancelAutoClose() {
+    if (this.autoCloseTimer) {
+      clearTimeout(this.autoCloseTimer);
+      this.autoCloseTimer = null;
+    }
+  }
+
+  /**
+   * Handle note save
+   */
+  async handleSaveNote(event) {
+    event.preventDefault();
+
+    const saveButton = document.getElementById('saveNoteButton');
+    const buttonText = saveButton.querySelector('.btn-text');
+    const buttonSpinner = saveButton.querySelector('.btn-spinner');
+
+    // Show loading state
+    buttonText.textContent = 'Saving...';
+    buttonSpinner.classList.remove('hidden');
+    saveButton.disabled = true;
+
+    const formData = new FormData(event.target);
+    const noteData = {
+      title: formData.get('noteTitle') || '',
+      content: formData.get('noteContent'),
+    };
+
+    try {
+      if (this.editingNote) {
+        await this.saveNoteChanges(noteData);
+        return;
+      }
+
+      const idempotencyKey = crypto.randomUUID();
+      const result = await this.api.createNote(noteData, { idempotencyKey });
+
+      if (result.success) {
+        this.showSuccess('note');
+
+        // Auto-close popup if preference is enabled
+        this.scheduleAutoClose();
+      } else {
+        // Try to save to offline queue if the failure is transient
+        if (result.error?.retryable) {
+          const queueResult = await this.storage.addToOfflineQueue(
+            noteData,
+            'note',
+            idempotencyKey,
+          );
+          if (queueResult.success) {
+            this.notifyQueueChanged();
+          }
+          this.showToast(
+            'Note saved offline. Will sync when connection is restored.',
+            'info',
+          );
+          this.showSuccess('note');
+        } else if (result.error?.code === 'UNAUTHORIZED') {
+          this.handleSessionExpired();
+        } else {
+          this.showError(
+            result.error?.message || 'Failed to save note. Please try again.',
+          );
+        }
+      }
+    } catch (error) {
+      console.error('Save note error:', error);
+      this.showError('Network error. Please check your connection.');
+    } finally {
+      // Reset button state
+      buttonText.textContent = this.editingNote ? 'Update Note' : 'Save Note';
+      buttonSpinner.classList.add('hidden');
+      saveButton.disabled = false;
+    }
+  }
+
+  /**
+   * Apply form changes to the note being edited
+   */
+  async saveNoteChanges(noteData) {
+    const { id, source } = this.editingNote;
+    if (source === 'deadLetter') {
+      await this.retryDeadLetter(id, noteData);
+      return;
+    }
+
+    let result =
+      source === 'queue'
+        ? await this.storage.updateOfflineQueueItem(id, noteData)
+        : await this.api.updateNote(id, noteData);
+
+    if (result.error?.retryable) {
+      result = await this.storage.addToOfflineQueue(
+        { id, patch: noteData },
+        'note:update',
+      );
+      if (result.success) {
+        this.notifyQueueChanged();
+        this.showToast(
+          'Changes saved offline. Will sync when connection is restored.',
+          'info',
+        );
+      }
+    }
+
+    if (result.success) {
+      this.editingNote = null;
+      this.showSuccess('note', 'Note Updated!');
+      this.scheduleAutoClose();
+    } else if (result.error?.code === 'UNAUTHORIZED') {
+      this.handleSessionExpired();
+    } else {
+      this.showError(
+        result.error?.message ||
+          result.error ||
+          'Failed to update note. Please try again.',
+      );
+    }
+  }
+
+  /**
+   * Handle logout
+   */
+  async handleLogout() {
+    try {
+      await this.api.logout();
+      this.showLogin();
+    } catch (error) {
+      console.error('Logout error:', error);
+      // Show login even if logout fails
+      this.showLogin();
+    }
+  }
+
+  /**
+   * Return to the login form once the session could not be refreshed
+   */
+  handleSessionExpired() {
+    this.showLogin();
+    this.showToast(
+      'Your session has expired. Please sign in again.',
+      'warning',
+    );
+  }
+
+  /**
+   * Parse tags from input string
+   */
+  parseTags(tagsString) {
+    if (!tagsString) {
+      return '';
+    }
+    return tagsString
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter((tag) => tag.length > 0)
+      .join('|');
+  }
+
+  /**
+   * Load user tags for autocomplete with caching
+   */
+  async loadUserTags() {
+    try {
+      // Check cache first
+      const now = Date.now();
+      if (
+        this.tagsCache &&
+        this.tagsCacheExpiry &&
+        now < this.tagsCacheExpiry
+      ) {
+        this.availableTags = this.tagsCache;
+        this.displayTagChips();
+        return;
+      }
+
+      const result = await this.api.getUserTags();
+      if (result.success) {
+        this.availableTags = result.data || [];
+        // Cache the results
+        this.tagsCache = this.availableTags;
+        this.tagsCacheExpiry = now + this.CACHE_DURATION;
+        this.displayTagChips();
+
+        // Share the tags with the background's tag context menu
+        await this.storage.setTagCache(this.availableTags);
+      } else {
+        console.warn('Failed to load user tags:', result.error?.code);
+        this.availableTags = [];
+      }
+    } catch (error) {
+      console.error('Failed to load user tags:', error);
+      this.availableTags = [];
+    }
+  }
+
+  /**
+   * Handle tags input for autocomplete
+   */
+  handleTagsInput(event) {
+    const input = event.target.value;
+    const currentTags = input
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter((tag) => tag.length > 0);
+    const lastTag = currentTags[currentTags.length - 1] || '';
+
+    if (lastTag.length > 0) {
+      const suggestions = this.availableTags.filter(
+        (tag) =>
+          tag.toLowerCase().includes(lastTag.toLowerCase()) &&
+          !currentTags.includes(tag),
+      );
+      this.showTagsSuggestions(suggestions, lastTag);
+    } else {
+      this.hideTagsSuggestions();
+    }
+  }
+
+  /**
+   * Show tags suggestions
+   */
+  showTagsSuggestions(suggestions = [], _currentTag = '') {
+    const container = document.getElementById(this.tagFields.suggestions);
+
+    if (!suggestions || suggestions.length === 0) {
+      container.innerHTML = '';
+      container.classList.remove('visible');
+      return;
+    }
+
+    const suggestionsHTML = suggestions
+      .slice(0, 5) // Limit to 5 suggestions
+      .map(
+        (tag) => `
+        <div class="tag-suggestion" data-tag="${tag}">
+          ${tag}
+        </div>
+      `,
+      )
+      .join('');
+
+    container.innerHTML = suggestionsHTML;
+    container.classList.add('visible');
+
+    // Add click listeners to suggestions
+    container.querySelectorAll('.tag-suggestion').forEach((el) => {
+      el.addEventListener('click', () => {
+        this.selectTag(el.dataset.tag);
+      });
+    });
+  }
+
+  /**
+   * Hide tags suggestions
+   */
+  hideTagsSuggestions() {
+    setTimeout(() => {
+      const container = document.getElementById(this.tagFields.suggestions);
+      container.classList.remove('visible');
+    }, 150);
+  }
+
+  /**
+   * Display tag suggestion chips
+   */
+  displayTagChips() {
+    const container = document.getElementById(this.tagFields.chips);
+    if (!container || !this.availableTags.length) {
+      return;
+    }
+
+    const chipsHTML = this.availableTags
+      .slice(0, 7)
+      .map((tagData) => {
         const tagName = tagData.tag;
         const isSelected = this.selectedTags.has(tagName);
         return `
@@ -503,60 +1206,318 @@ class TurbodocPopup {
   }
 
   /**
-   * Toggle tag selection from chip
+   * Toggle tag selection from chip
+   */
+  toggleTagSelection(tagName) {
+    if (this.selectedTags.has(tagName)) {
+      this.selectedTags.delete(tagName);
+    } else {
+      this.selectedTags.add(tagName);
+    }
+
+    this.updateTagsInput();
+    this.displayTagChips(); // Refresh chips to show selection state
+  }
+
+  /**
+   * Update the tags input field based on selected tags
+   */
+  updateTagsInput() {
+    const tagsInput = document.getElementById(this.tagFields.input);
+    const selectedTagsArray = Array.from(this.selectedTags);
+    tagsInput.value = selectedTagsArray.join(', ');
+  }
+
+  /**
+   * Parse tags from input and update selected tags set
+   */
+  parseTagsFromInput() {
+    const tagsInput = document.getElementById(this.tagFields.input);
+    const inputTags = tagsInput.value
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter((tag) => tag.length > 0);
+
+    this.selectedTags.clear();
+    inputTags.forEach((tag) => this.selectedTags.add(tag));
+    this.displayTagChips(); // Refresh chips to show selection state
+  }
+
+  /**
+   * Select a tag from suggestions
+   */
+  selectTag(tag) {
+    const tagsInput = document.getElementById(this.tagFields.input);
+    const currentValue = tagsInput.value;
+    const currentTags = currentValue
+      .split(',')
+      .map((tag) => tag.trim())
+      .filter((tag) => tag.length > 0);
+
+    // Replace the last partial tag with the selected one
+    currentTags[currentTags.length - 1] = tag;
+
+    tagsInput.value = currentTags.join(', ') + ', ';
+    tagsInput.focus();
+    this.hideTagsSuggestions();
+  }
+
+  /**
+   * Get a tag's name whether the API returned a string or { tag, count }
+   */
+  getTagName(tagData) {
+    return typeof tagData === 'string' ? tagData : tagData.tag;
+  }
+
+  /**
+   * Debounce search input so we query once typing pauses
+   */
+  scheduleBookmarkSearch() {
+    clearTimeout(this.bookmarkSearchTimer);
+    this.bookmarkSearchTimer = setTimeout(() => this.searchBookmarks(), 300);
+  }
+
+  /**
+   * Query bookmarks with the current search filters
+   * Pass append to load the next page into the existing results
+   */
+  async searchBookmarks({ append = false } = {}) {
+    clearTimeout(this.bookmarkSearchTimer);
+    const seq = ++this.bookmarkSearchSeq;
+
+    const status = document.getElementById('bookmarkListStatus');
+    const loadMoreButton = document.getElementById('loadMoreBookmarksButton');
+
+    status.textContent = append ? 'Loading...' : 'Searching...';
+    loadMoreButton.disabled = true;
+
+    const result = await this.api.listBookmarks({
+      query: document.getElementById('bookmarkSearch').value.trim(),
+      tags: Array.from(this.bookmarkTagFilters),
+      status: document.getElementById('bookmarkStatusFilter').value,
+      cursor: append ? this.bookmarkListCursor : null,
+    });
+
+    // A newer search was started while this one was in flight
+    if (seq !== this.bookmarkSearchSeq) {
+      return;
+    }
+
+    loadMoreButton.disabled = false;
+
+    if (!result.success) {
+      if (result.error?.code === 'UNAUTHORIZED') {
+        this.handleSessionExpired();
+        return;
+      }
+      status.textContent = result.error.message;
+      loadMoreButton.classList.add('hidden');
+      return;
+    }
+
+    this.bookmarkListCursor = result.nextCursor;
+    this.renderBookmarkResults(result.data, append);
+
+    const list = document.getElementById('bookmarkList');
+    status.textContent = list.children.length === 0 ? 'No bookmarks found' : '';
+    loadMoreButton.classList.toggle('hidden', !result.nextCursor);
+  }
+
+  /**
+   * Render bookmark search results
+   */
+  renderBookmarkResults(bookmarks, append = false) {
+    const list = document.getElementById('bookmarkList');
+    if (!append) {
+      list.innerHTML = '';
+    }
+
+    bookmarks.forEach((bookmark) => {
+      const meta = [
+        this.getHostname(bookmark.url),
+        ...this.splitTags(bookmark.tags).map((tag) => `#${tag}`),
+      ].join(' · ');
+
+      const item = this.createResultItem(
+        bookmark.title || bookmark.url,
+        meta,
+        () => this.openUrl(bookmark.url),
+      );
+      item.title = bookmark.url;
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Create a clickable, keyboard-accessible result list row
+   */
+  createResultItem(titleText, metaText, onOpen) {
+    const item = document.createElement('li');
+    item.className = 'result-item';
+    item.tabIndex = 0;
+
+    const title = document.createElement('span');
+    title.className = 'result-title';
+    title.textContent = titleText;
+
+    const meta = document.createElement('span');
+    meta.className = 'result-meta';
+    meta.textContent = metaText;
+
+    item.append(title, meta);
+    item.addEventListener('click', onOpen);
+    item.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') {
+        onOpen();
+      }
+    });
+
+    return item;
+  }
+
+  /**
+   * Debounce note search input
+   */
+  scheduleNoteSearch() {
+    clearTimeout(this.noteSearchTimer);
+    this.noteSearchTimer = setTimeout(() => this.searchNotes(), 300);
+  }
+
+  /**
+   * Query notes with the current search text
+   * Pass append to load the next page into the existing results
+   */
+  async searchNotes({ append = false } = {}) {
+    clearTimeout(this.noteSearchTimer);
+    const seq = ++this.noteSearchSeq;
+
+    const status = document.getElementById('noteListStatus');
+    const loadMoreButton = document.getElementById('loadMoreNotesButton');
+
+    status.textContent = append ? 'Loading...' : 'Searching...';
+    loadMoreButton.disabled = true;
+
+    const result = await this.api.listNotes({
+      query: document.getElementById('noteSearch').value.trim(),
+      cursor: append ? this.noteListCursor : null,
+    });
+
+    // A newer search was started while this one was in flight
+    if (seq !== this.noteSearchSeq) {
+      return;
+    }
+
+    loadMoreButton.disabled = false;
+
+    if (!result.success) {
+      if (result.error?.code === 'UNAUTHORIZED') {
+        this.handleSessionExpired();
+        return;
+      }
+      status.textContent = result.error.message;
+      loadMoreButton.classList.add('hidden');
+      return;
+    }
+
+    this.noteListCursor = result.nextCursor;
+
+    const list = document.getElementById('noteList');
+    if (!append) {
+      list.innerHTML = '';
+    }
+
+    result.data.forEach((note) => {
+      const updatedAt =
+        note.updated_at || note.updatedAt || note.created_at || note.createdAt;
+      const meta = [
+        updatedAt ? new Date(updatedAt).toLocaleDateString() : '',
+        (note.content || '').replace(/\s+/g, ' ').slice(0, 80),
+      ]
+        .filter(Boolean)
+        .join(' · ');
+
+      list.appendChild(
+        this.createResultItem(note.title || 'Untitled note', meta, () =>
+          this.openNote(note.id),
+        ),
+      );
+    });
+
+    status.textContent = list.children.length === 0 ? 'No notes found' : '';
+    loadMoreButton.classList.toggle('hidden', !result.nextCursor);
+  }
+
+  /**
+   * Load a note's full content and open it in the note form
    */
-  toggleTagSelection(tagName) {
-    if (this.selectedTags.has(tagName)) {
-      this.selectedTags.delete(tagName);
+  async openNote(id) {
+    const status = document.getElementById('noteListStatus');
+    status.textContent = 'Opening note...';
+
+    const result = await this.api.getNote(id);
+
+    if (result.success && result.data) {
+      this.showNoteForm(result.data);
+    } else if (result.error?.code === 'UNAUTHORIZED') {
+      this.handleSessionExpired();
     } else {
-      this.selectedTags.add(tagName);
+      status.textContent = result.error?.message || 'Failed to open note';
     }
-
-    this.updateTagsInput();
-    this.displayTagChips(); // Refresh chips to show selection state
   }
 
   /**
-   * Update the tags input field based on selected tags
+   * Display tag filter chips for the bookmark list
    */
-  updateTagsInput() {
-    const tagsInput = document.getElementById('tags');
-    const selectedTagsArray = Array.from(this.selectedTags);
-    tagsInput.value = selectedTagsArray.join(', ');
+  displayBookmarkTagFilters() {
+    const container = document.getElementById('bookmarkTagFilters');
+    container.innerHTML = '';
+
+    this.availableTags.slice(0, 10).forEach((tagData) => {
+      const tagName = this.getTagName(tagData);
+      const chip = document.createElement('div');
+      chip.className = 'tag-chip';
+      chip.classList.toggle('selected', this.bookmarkTagFilters.has(tagName));
+
+      const name = document.createElement('span');
+      name.className = 'tag-name';
+      name.textContent = tagName;
+      chip.appendChild(name);
+
+      chip.addEventListener('click', () => {
+        if (this.bookmarkTagFilters.has(tagName)) {
+          this.bookmarkTagFilters.delete(tagName);
+        } else {
+          this.bookmarkTagFilters.add(tagName);
+        }
+        this.displayBookmarkTagFilters();
+        this.searchBookmarks();
+      });
+
+      container.appendChild(chip);
+    });
   }
 
   /**
-   * Parse tags from input and update selected tags set
+   * Get hostname for display, falling back to the raw URL
    */
-  parseTagsFromInput() {
-    const tagsInput = document.getElementById('tags');
-    const inputTags = tagsInput.value
-      .split(',')
-      .map((tag) => tag.trim())
-      .filter((tag) => tag.length > 0);
-
-    this.selectedTags.clear();
-    inputTags.forEach((tag) => this.selectedTags.add(tag));
-    this.displayTagChips(); // Refresh chips to show selection state
+  getHostname(url) {
+    try {
+      return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+      return url || '';
+    }
   }
 
   /**
-   * Select a tag from suggestions
+   * Open a URL in a new tab and close the popup
    */
-  selectTag(tag) {
-    const tagsInput = document.getElementById('tags');
-    const currentValue = tagsInput.value;
-    const currentTags = currentValue
-      .split(',')
-      .map((tag) => tag.trim())
-      .filter((tag) => tag.length > 0);
-
-    // Replace the last partial tag with the selected one
-    currentTags[currentTags.length - 1] = tag;
-
-    tagsInput.value = currentTags.join(', ') + ', ';
-    tagsInput.focus();
-    this.hideTagsSuggestions();
+  async openUrl(url) {
+    try {
+      await browserCompat.tabs.create({ url });
+      window.close();
+    } catch (error) {
+      console.error('Failed to open URL:', error);
+    }
   }
 
   /**
@@ -564,6 +1525,7 @@ class TurbodocPopup {
    */
   showLogin() {
     this.hideAllStates();
+    document.getElementById('attentionBanner').classList.add('hidden');
     document.getElementById('loginState').classList.remove('hidden');
     document.getElementById('popupFooter').classList.add('hidden');
     this.currentState = 'login';
@@ -577,10 +1539,107 @@ class TurbodocPopup {
     }, 100);
   }
 
+  /**
+   * Look up the current page in Turbodoc and the offline queue
+   * Returns a normalized bookmark or null when the page is not saved yet
+   */
+  async findExistingBookmark(url) {
+    if (!url) {
+      return null;
+    }
+
+    const queueResult = await this.storage.getOfflineQueue();
+    const queued = queueResult.data.find(
+      (item) => item.kind === 'bookmark' && item.payload.url === url,
+    );
+    if (queued) {
+      return {
+        source: 'queue',
+        id: queued.id,
+        title: queued.payload.title,
+        url: queued.payload.url,
+        tags: this.splitTags(queued.payload.tags),
+        savedAt: queued.queuedAt,
+      };
+    }
+
+    const result = await this.api.findBookmarkByUrl(url);
+    if (result.success && result.data) {
+      return {
+        source: 'api',
+        id: result.data.id,
+        title: result.data.title,
+        url: result.data.url,
+        tags: this.splitTags(result.data.tags),
+        savedAt: result.data.created_at || result.data.createdAt,
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Show the bookmark form, or the already saved view if the page exists
+   */
+  async showBookmarkView() {
+    try {
+      this.existingBookmark = await this.findExistingBookmark(
+        this.currentTab?.url,
+      );
+    } catch (error) {
+      console.warn('Duplicate lookup failed:', error);
+      this.existingBookmark = null;
+    }
+
+    if (this.existingBookmark) {
+      this.showExistingBookmark(this.existingBookmark);
+    } else {
+      this.showBookmarkForm();
+    }
+  }
+
+  /**
+   * Show already saved state
+   */
+  showExistingBookmark(bookmark) {
+    this.hideAllStates();
+    document.getElementById('bookmarkExistingState').classList.remove('hidden');
+    document.getElementById('popupFooter').classList.remove('hidden');
+    this.currentState = 'existing';
+
+    document.getElementById('addBookmarkButton').classList.add('hidden');
+    document.getElementById('addNoteButton').classList.remove('hidden');
+
+    document.getElementById('existingMessage').textContent =
+      bookmark.source === 'queue'
+        ? 'This page is waiting in your offline queue.'
+        : 'This page is already in Turbodoc.';
+    document.getElementById('existingTitle').textContent = bookmark.title;
+    document.getElementById('existingTags').textContent =
+      bookmark.tags.length > 0 ? bookmark.tags.join(', ') : 'No tags';
+    document.getElementById('existingSavedAt').textContent = bookmark.savedAt
+      ? new Date(bookmark.savedAt).toLocaleDateString()
+      : 'Unknown';
+
+    const userStatus = document.getElementById('userStatus');
+    if (this.api.getCurrentUser()) {
+      userStatus.textContent = this.api.getCurrentUser().email;
+    }
+  }
+
+  /**
+   * Split a stored tags value ('a|b', 'a,b' or an array) into tag names
+   */
+  splitTags(tags) {
+    const list = Array.isArray(tags) ? tags : (tags || '').split(/[|,]/);
+    return list.map((tag) => tag.trim()).filter((tag) => tag.length > 0);
+  }
+
   /**
    * Show bookmark form state
+   * Pass an existing bookmark to edit it instead of creating a new one
    */
-  showBookmarkForm() {
+  showBookmarkForm(bookmark = null) {
     this.hideAllStates();
     document.getElementById('bookmarkState').classList.remove('hidden');
     document.getElementById('popupFooter').classList.remove('hidden');
@@ -590,15 +1649,30 @@ class TurbodocPopup {
     document.getElementById('addBookmarkButton').classList.add('hidden');
     document.getElementById('addNoteButton').classList.remove('hidden');
 
-    // Pre-fill form with current tab data
-    if (this.currentTab) {
+    this.editingBookmark = bookmark;
+    document.querySelector('#saveButton .btn-text').textContent = bookmark
+      ? 'Update Bookmark'
+      : 'Save Bookmark';
+
+    // Unsynced bookmarks may need their URL fixed before retrying
+    document.getElementById('url').readOnly =
+      !bookmark || bookmark.source === 'api';
+
+    // Pre-fill form with the edited bookmark or current tab data
+    if (bookmark) {
+      document.getElementById('title').value = bookmark.title || '';
+      document.getElementById('url').value = bookmark.url || '';
+    } else if (this.currentTab) {
       document.getElementById('title').value = this.currentTab.title || '';
       document.getElementById('url').value = this.currentTab.url || '';
     }
 
-    // Clear selected tags
-    this.selectedTags.clear();
-    document.getElementById('tags').value = '';
+    // Start from the edited bookmark's tags, or the default tags for new ones
+    this.tagFields = this.TAG_FIELDS.bookmark;
+    this.selectedTags = new Set(
+      bookmark ? bookmark.tags : this.preferences.defaultTags || [],
+    );
+    this.updateTagsInput();
 
     // Load and display tag chips
     this.loadUserTags();
@@ -616,10 +1690,51 @@ class TurbodocPopup {
     }, 100);
   }
 
+  /**
+   * Show bookmark list state
+   */
+  showBookmarkList() {
+    this.hideAllStates();
+    document.getElementById('bookmarkListState').classList.remove('hidden');
+    document.getElementById('popupFooter').classList.remove('hidden');
+    this.currentState = 'bookmarkList';
+
+    document.getElementById('addBookmarkButton').classList.remove('hidden');
+    document.getElementById('addNoteButton').classList.remove('hidden');
+
+    // Load tags for the filter chips, then run the initial search
+    this.loadUserTags().then(() => this.displayBookmarkTagFilters());
+    this.searchBookmarks();
+
+    setTimeout(() => {
+      document.getElementById('bookmarkSearch').focus();
+    }, 100);
+  }
+
+  /**
+   * Show note list state
+   */
+  showNoteList() {
+    this.hideAllStates();
+    document.getElementById('noteListState').classList.remove('hidden');
+    document.getElementById('popupFooter').classList.remove('hidden');
+    this.currentState = 'noteList';
+
+    document.getElementById('addBookmarkButton').classList.remove('hidden');
+    document.getElementById('addNoteButton').classList.remove('hidden');
+
+    this.searchNotes();
+
+    setTimeout(() => {
+      document.getElementById('noteSearch').focus();
+    }, 100);
+  }
+
   /**
    * Show note form state
+   * Pass an existing note to keep editing it instead of creating a new one
    */
-  showNoteForm() {
+  showNoteForm(note = null) {
     this.hideAllStates();
     document.getElementById('noteState').classList.remove('hidden');
     document.getElementById('popupFooter').classList.remove('hidden');
@@ -629,14 +1744,33 @@ class TurbodocPopup {
     document.getElementById('addNoteButton').classList.add('hidden');
     document.getElementById('addBookmarkButton').classList.remove('hidden');
 
-    // Pre-fill content with current URL
+    this.editingNote = note;
+    document.querySelector('#saveNoteButton .btn-text').textContent = note
+      ? 'Update Note'
+      : 'Save Note';
+
     const noteContent = document.getElementById('noteContent');
-    if (this.currentTab) {
-      noteContent.value = `Source: ${this.currentTab.url}\n\n`;
-    }
+    if (note) {
+      // Continue the note, citing the current page if it isn't already
+      noteContent.value = note.content || '';
+      if (
+        note.source !== 'deadLetter' &&
+        note.source !== 'queue' &&
+        this.currentTab?.url &&
+        !noteContent.value.includes(this.currentTab.url)
+      ) {
+        noteContent.value = `${noteContent.value.trimEnd()}\n\nSource: ${this.currentTab.url}\n\n`;
+      }
+      document.getElementById('noteTitle').value = note.title || '';
+    } else {
+      // Pre-fill content with current URL
+      noteContent.value = this.currentTab
+        ? `Source: ${this.currentTab.url}\n\n`
+        : '';
 
-    // Clear title
-    document.getElementById('noteTitle').value = '';
+      // Clear title
+      document.getElementById('noteTitle').value = '';
+    }
 
     // Update user status
     const userStatus = document.getElementById('userStatus');
@@ -655,18 +1789,367 @@ class TurbodocPopup {
     }, 100);
   }
 
+  /**
+   * Refresh the footer queue link and the banner for items that failed to sync
+   */
+  async refreshQueueIndicators() {
+    const [queueResult, deadLetterResult] = await Promise.all([
+      this.storage.getOfflineQueue(),
+      this.storage.getDeadLetterQueue(),
+    ]);
+    this.queueItems = queueResult.data;
+    this.deadLetters = deadLetterResult.data;
+
+    const pending = this.queueItems.length;
+    const failed = this.deadLetters.length;
+
+    const viewQueueButton = document.getElementById('viewQueueButton');
+    viewQueueButton.classList.toggle('hidden', pending + failed === 0);
+    viewQueueButton.textContent = `Offline Queue (${pending + failed})`;
+
+    document
+      .getElementById('attentionBanner')
+      .classList.toggle('hidden', failed === 0);
+    document.getElementById('attentionMessage').textContent =
+      `${failed} item${failed === 1 ? '' : 's'} couldn't sync.`;
+  }
+
+  /**
+   * Show offline queue state
+   */
+  async showQueue() {
+    this.hideAllStates();
+    document.getElementById('queueState').classList.remove('hidden');
+    document.getElementById('popupFooter').classList.remove('hidden');
+    this.currentState = 'queue';
+
+    document.getElementById('addBookmarkButton').classList.remove('hidden');
+    document.getElementById('addNoteButton').classList.remove('hidden');
+
+    await this.renderQueue();
+  }
+
+  /**
+   * Render pending and dead-letter items
+   * currentItemId marks the item the background is replaying right now
+   */
+  async renderQueue(currentItemId = null) {
+    await this.refreshQueueIndicators();
+
+    const list = document.getElementById('offlineQueueList');
+    list.replaceChildren(
+      ...this.queueItems.map((item) =>
+        this.createQueueItem(item, item.id === currentItemId),
+      ),
+    );
+    document.getElementById('offlineQueueStatus').textContent =
+      this.queueItems.length === 0 ? 'Everything is synced.' : '';
+    document.getElementById('syncQueueButton').disabled =
+      this.queueSyncing || this.queueItems.length === 0;
+
+    const deadLetterList = document.getElementById('deadLetterList');
+    deadLetterList.replaceChildren(
+      ...this.deadLetters.map((item) => this.createDeadLetterItem(item)),
+    );
+    document
+      .getElementById('deadLetterSection')
+      .classList.toggle('hidden', this.deadLetters.length === 0);
+  }
+
+  /**
+   * Describe a queued item for display
+   */
+  describeQueueItem(item) {
+    const labels = {
+      bookmark: 'Bookmark',
+      note: 'Note',
+      'bookmark:update': 'Bookmark update',
+      'bookmark:delete': 'Bookmark removal',
+      'note:update': 'Note update',
+    };
+    const payload = item.payload || {};
+    const details = payload.patch || payload;
+
+    return {
+      label: labels[item.kind] || item.kind,
+      title:
+        details.title ||
+        details.url ||
+        (details.content || '').slice(0, 60) ||
+        payload.id ||
+        'Untitled',
+    };
+  }
+
+  /**
+   * Create a row for a pending queue item with its actions
+   */
+  createQueueItem(item, syncing = false) {
+    const { label, title } = this.describeQueueItem(item);
+    const row = this.createResultItem(
+      title,
+      `${label} · queued ${new Date(item.queuedAt).toLocaleString()}`,
+      () => {},
+    );
+    row.classList.add('queue-item');
+    row.classList.toggle('syncing', syncing);
+    if (item.payload?.url) {
+      row.title = item.payload.url;
+    }
+
+    if (item.lastError) {
+      const error = document.createElement('span');
+      error.className = 'queue-item-error';
+      error.textContent = item.nextAttemptAt
+        ? `${item.lastError.message} Next try ${new Date(item.nextAttemptAt).toLocaleTimeString()}.`
+        : item.lastError.message;
+      row.appendChild(error);
+    }
+
+    const actions = document.createElement('div');
+    actions.className = 'queue-item-actions';
+
+    const retry = this.createQueueAction('Retry Now', 'btn-secondary', () =>
+      this.syncQueue([item.id]),
+    );
+    retry.disabled = this.queueSyncing;
+    actions.appendChild(retry);
+
+    if (item.kind === 'bookmark' || item.kind === 'note') {
+      actions.appendChild(
+        this.createQueueAction('Edit', 'btn-secondary', () =>
+          this.editQueueItem(item, 'queue'),
+        ),
+      );
+    }
+    actions.appendChild(
+      this.createQueueAction('Discard', 'btn-destructive', () =>
+        this.discardQueueItem(item.id),
+      ),
+    );
+
+    row.appendChild(actions);
+    return row;
+  }
+
+  /**
+   * Create a row for a dead-letter item with its actions
+   */
+  createDeadLetterItem(item) {
+    const { label, title } = this.describeQueueItem(item);
+    const row = this.createResultItem(
+      title,
+      `${label} · ${item.attempts || 0} attempt${item.attempts === 1 ? '' : 's'}`,
+      () => {},
+    );
+    row.classList.add('queue-item');
+
+    const error = document.createElement('span');
+    error.className = 'queue-item-error';
+    error.textContent = item.lastError?.message || 'Unknown error';
+
+    const actions = document.createElement('div');
+    actions.className = 'queue-item-actions';
+
+    if (item.kind === 'bookmark' || item.kind === 'note') {
+      actions.appendChild(
+        this.createQueueAction('Edit', 'btn-secondary', () =>
+          this.editQueueItem(item, 'deadLetter'),
+        ),
+      );
+    }
+    actions.appendChild(
+      this.createQueueAction('Retry', 'btn-secondary', () =>
+        this.retryDeadLetter(item.id),
+      ),
+    );
+    actions.appendChild(
+      this.createQueueAction('Discard', 'btn-destructive', () =>
+        this.discardDeadLetter(item.id),
+      ),
+    );
+
+    row.append(error, actions);
+    return row;
+  }
+
+  /**
+   * Create a small action button for a queue row
+   */
+  createQueueAction(text, variant, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `btn ${variant}`;
+    button.textContent = text;
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+
+  /**
+   * Open a queued or dead-letter item in its form so it can be fixed
+   */
+  editQueueItem(item, source) {
+    if (item.kind === 'note') {
+      this.showNoteForm({
+        source,
+        id: item.id,
+        title: item.payload.title,
+        content: item.payload.content,
+      });
+      return;
+    }
+
+    this.showBookmarkForm({
+      source,
+      id: item.id,
+      title: item.payload.title,
+      url: item.payload.url,
+      tags: this.splitTags(item.payload.tags),
+      savedAt: item.queuedAt,
+    });
+  }
+
+  /**
+   * Ask the background to replay the queue now, ignoring backoff
+   * Pass itemIds to replay only those items
+   */
+  async syncQueue(itemIds = null) {
+    if (this.queueSyncing) {
+      return;
+    }
+
+    this.queueSyncing = true;
+    const progress = document.getElementById('queueProgress');
+    progress.textContent = 'Syncing...';
+    await this.renderQueue();
+
+    try {
+      const response = await browserCompat.runtime.sendMessage({
+        type: 'PROCESS_OFFLINE_QUEUE',
+        force: true,
+        itemIds,
+      });
+      const summary = response?.data;
+
+      if (!this.api.isAuthenticated()) {
+        this.handleSessionExpired();
+        return;
+      }
+
+      progress.textContent = summary?.total
+        ? `Synced ${summary.processed} of ${summary.total}` +
+          (summary.failed > 0 ? `, ${summary.failed} failed.` : '.')
+        : '';
+    } catch (error) {
+      console.error('Queue sync error:', error);
+      progress.textContent = '';
+      this.showToast('Could not reach the background sync', 'error');
+    } finally {
+      this.queueSyncing = false;
+      if (this.currentState === 'queue') {
+        await this.renderQueue();
+      }
+    }
+  }
+
+  /**
+   * Update the queue view as the background reports progress
+   */
+  async handleQueueProgress(progress) {
+    if (this.currentState !== 'queue' || progress.total === 0) {
+      return;
+    }
+
+    const done = progress.processed + progress.failed;
+    document.getElementById('queueProgress').textContent =
+      progress.currentItemId === null
+        ? `Synced ${progress.processed} of ${progress.total}.`
+        : `Syncing ${Math.min(done + 1, progress.total)} of ${progress.total}...`;
+    await this.renderQueue(progress.currentItemId);
+  }
+
+  /**
+   * Drop a pending queue item without syncing it
+   */
+  async discardQueueItem(id) {
+    const result = await this.storage.removeFromOfflineQueue(id);
+    if (!result.success) {
+      this.showToast(result.error, 'error');
+      return;
+    }
+
+    this.showToast('Item discarded', 'info');
+    this.notifyQueueChanged();
+    await this.showQueue();
+  }
+
+  /**
+   * Move a dead-letter item back into the queue and replay it
+   */
+  async retryDeadLetter(id, changes = {}) {
+    const result = await this.storage.requeueDeadLetterItem(id, changes);
+    if (!result.success) {
+      this.showToast(result.error, 'error');
+      return;
+    }
+
+    this.editingBookmark = null;
+    this.editingNote = null;
+    await this.showQueue();
+    await this.syncQueue([id]);
+  }
+
+  /**
+   * Drop a dead-letter item for good
+   */
+  async discardDeadLetter(id) {
+    const result = await this.storage.removeFromDeadLetterQueue(id);
+    if (!result.success) {
+      this.showToast(result.error, 'error');
+      return;
+    }
+
+    this.showToast('Item discarded', 'info');
+    this.notifyQueueChanged();
+    await this.showQueue();
+  }
+
+  /**
+   * Let the background refresh the badge after the queue was changed here
+   */
+  notifyQueueChanged() {
+    browserCompat.runtime
+      .sendMessage({ type: 'QUEUE_CHANGED' })
+      .catch((error) => console.warn('Queue change notice failed:', error));
+  }
+
   /**
    * Show success state
    */
-  showSuccess(type = 'bookmark') {
+  showSuccess(type = 'bookmark', title = null) {
     this.hideAllStates();
-    if (type === 'note') {
-      document.getElementById('noteSuccessState').classList.remove('hidden');
-    } else {
-      document
-        .getElementById('bookmarkSuccessState')
-        .classList.remove('hidden');
+    const defaultTitles = {
+      bookmark: 'Bookmark Saved!',
+      note: 'Note Saved!',
+    };
+    const container =
+      type === 'note'
+        ? document.getElementById('noteSuccessState')
+        : document.getElementById('bookmarkSuccessState');
+
+    container.querySelector('.success-title').textContent =
+      title || defaultTitles[type];
+
+    // Edit/Remove need the saved bookmark's id
+    if (type === 'bookmark') {
+      container
+        .querySelector('.success-edit-actions')
+        .classList.toggle('hidden', !this.lastSavedBookmark?.id);
     }
+    container.classList.remove('hidden');
     document.getElementById('popupFooter').classList.remove('hidden');
     this.currentState = 'success';
   }
@@ -0,0 +1,276 @@
+/**
+ * TurbodocAPI request and TurbodocError tests
+ */
+
+const { API_CONFIG, getApiUrl } = require('../shared/lib/api-config');
+
+global.API_CONFIG = API_CONFIG;
+global.getApiUrl = getApiUrl;
+
+const { TurbodocAPI, TurbodocError } = require('../shared/lib/api-client');
+
+/**
+ * Build a client without running init, which needs Supabase
+ */
+function newClient() {
+  const api = Object.create(TurbodocAPI.prototype);
+  api.session = null;
+  api.sleep = jest.fn().mockResolvedValue();
+  return api;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getRetryDelay', () => {
+  test('doubles the backoff each attempt with up to half of it as jitter', () => {
+    const api = newClient();
+
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(api.getRetryDelay(0)).toBe(API_CONFIG.retryDelay / 2);
+    expect(api.getRetryDelay(2)).toBe(API_CONFIG.retryDelay * 2);
+
+    Math.random.mockReturnValue(1);
+    expect(api.getRetryDelay(0)).toBe(API_CONFIG.retryDelay);
+    expect(api.getRetryDelay(2)).toBe(API_CONFIG.retryDelay * 4);
+  });
+
+  test('never waits longer than maxRetryDelay', () => {
+    const api = newClient();
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+
+    expect(api.getRetryDelay(20)).toBe(API_CONFIG.maxRetryDelay);
+    expect(api.getRetryDelay(0, API_CONFIG.maxRetryDelay * 10)).toBe(
+      API_CONFIG.maxRetryDelay,
+    );
+  });
+
+  test('uses the server Retry-After delay when there is one', () => {
+    const api = newClient();
+
+    expect(api.getRetryDelay(3, 1500)).toBe(1500);
+    expect(api.getRetryDelay(3, 0)).toBe(0);
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads delta seconds', () => {
+    const api = newClient();
+
+    expect(api.parseRetryAfter('2')).toBe(2000);
+    expect(api.parseRetryAfter('0')).toBe(0);
+  });
+
+  test('reads an HTTP date relative to now', () => {
+    const api = newClient();
+    jest.spyOn(Date, 'now').mockReturnValue(Date.UTC(2024, 0, 1, 0, 0, 0));
+
+    expect(api.parseRetryAfter('Mon, 01 Jan 2024 00:00:05 GMT')).toBe(5000);
+    expect(api.parseRetryAfter('Sun, 31 Dec 2023 23:59:00 GMT')).toBe(0);
+  });
+
+  test('ignores missing and unreadable values', () => {
+    const api = newClient();
+
+    expect(api.parseRetryAfter(null)).toBeNull();
+    expect(api.parseRetryAfter('')).toBeNull();
+    expect(api.parseRetryAfter('soon')).toBeNull();
+  });
+});
+
+describe('sendWithRetries', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  test('retries transient failures and returns the first success', async () => {
+    const api = newClient();
+    api.performRequest = jest
+      .fn()
+      .mockRejectedValueOnce(new TurbodocError('SERVER_ERROR'))
+      .mockRejectedValueOnce(new TurbodocError('NETWORK_ERROR'))
+      .mockResolvedValue({ data: 'ok' });
+
+    await expect(api.sendWithRetries('bookmarks')).resolves.toEqual({
+      data: 'ok',
+    });
+    expect(api.performRequest).toHaveBeenCalledTimes(3);
+    expect(api.sleep).toHaveBeenCalledTimes(2);
+  });
+
+  test('gives up after retryAttempts retries', async () => {
+    const api = newClient();
+    api.performRequest = jest
+      .fn()
+      .mockRejectedValue(new TurbodocError('TIMEOUT'));
+
+    await expect(api.sendWithRetries('bookmarks')).rejects.toMatchObject({
+      code: 'TIMEOUT',
+    });
+    expect(api.performRequest).toHaveBeenCalledTimes(
+      API_CONFIG.retryAttempts + 1,
+    );
+  });
+
+  test('does not retry when retryAttempts is 0', async () => {
+    const api = newClient();
+    api.performRequest = jest
+      .fn()
+      .mockRejectedValue(new TurbodocError('NETWORK_ERROR'));
+
+    await expect(
+      api.sendWithRetries('bookmarks', { retryAttempts: 0 }),
+    ).rejects.toMatchObject({ code: 'NETWORK_ERROR' });
+    expect(api.performRequest).toHaveBeenCalledTimes(1);
+    expect(api.sleep).not.toHaveBeenCalled();
+  });
+
+  test('does not retry failures that will not go away', async () => {
+    const api = newClient();
+    api.performRequest = jest
+      .fn()
+      .mockRejectedValue(new TurbodocError('NOT_FOUND'));
+
+    await expect(api.sendWithRetries('bookmarks')).rejects.toMatchObject({
+      code: 'NOT_FOUND',
+    });
+    expect(api.performRequest).toHaveBeenCalledTimes(1);
+  });
+
+  test('waits for the Retry-After delay of a rate limited request', async () => {
+    const api = newClient();
+    api.performRequest = jest
+      .fn()
+      .mockRejectedValueOnce(
+        new TurbodocError('RATE_LIMITED', { retryAfter: 1200 }),
+      )
+      .mockResolvedValue({});
+
+    await api.sendWithRetries('bookmarks');
+    expect(api.sleep).toHaveBeenCalledWith(1200);
+  });
+
+  test('sends the timeout and request options to each attempt', async () => {
+    const api = newClient();
+    api.session = { access_token: 'token' };
+    api.performRequest = jest.fn().mockResolvedValue({});
+
+    await api.sendWithRetries('bookmarks', {
+      method: 'POST',
+      timeout: 500,
+      retryAttempts: 0,
+    });
+
+    const [url, options, timeout] = api.performRequest.mock.calls[0];
+    expect(url).toBe(getApiUrl('bookmarks'));
+    expect(options.method).toBe('POST');
+    expect(options.headers.Authorization).toBe('Bearer token');
+    expect(options).not.toHaveProperty('retryAttempts');
+    expect(timeout).toBe(500);
+  });
+});
+
+describe('createBookmark', () => {
+  function sentPayload(api) {
+    return JSON.parse(api.request.mock.calls[0][1].body);
+  }
+
+  function signedInClient() {
+    const api = newClient();
+    api.init = jest.fn().mockResolvedValue();
+    api.user = { id: 'user-1' };
+    api.request = jest.fn().mockResolvedValue({ data: {} });
+    return api;
+  }
+
+  test('sends the original save date of imported bookmarks', async () => {
+    const api = signedInClient();
+
+    await api.createBookmark({
+      title: 'A',
+      url: 'https://a.com',
+      createdAt: Date.UTC(2024, 0, 2),
+    });
+
+    expect(sentPayload(api).createdAt).toBe('2024-01-02T00:00:00.000Z');
+  });
+
+  test('leaves out a save date that is not a valid date', async () => {
+    const api = signedInClient();
+
+    const result = await api.createBookmark({
+      title: 'A',
+      url: 'https://a.com',
+      createdAt: 1700000000000000000,
+    });
+
+    expect(result.success).toBe(true);
+    expect(sentPayload(api)).not.toHaveProperty('createdAt');
+  });
+});
+
+describe('TurbodocError', () => {
+  test('maps HTTP statuses to codes', () => {
+    expect(TurbodocError.fromStatus(401).code).toBe('UNAUTHORIZED');
+    expect(TurbodocError.fromStatus(403).code).toBe('FORBIDDEN');
+    expect(TurbodocError.fromStatus(404).code).toBe('NOT_FOUND');
+    expect(TurbodocError.fromStatus(429).code).toBe('RATE_LIMITED');
+    expect(TurbodocError.fromStatus(503).code).toBe('SERVER_ERROR');
+  });
+
+  test('keeps the server message only for unmapped statuses', () => {
+    const badRequest = TurbodocError.fromStatus(422, {
+      message: 'URL is invalid',
+    });
+    expect(badRequest.code).toBe('BAD_REQUEST');
+    expect(badRequest.message).toBe('URL is invalid');
+    expect(badRequest.status).toBe(422);
+
+    const notFound = TurbodocError.fromStatus(404, { message: 'nope' });
+    expect(notFound.message).toBe('Resource not found');
+  });
+
+  test('marks only transient failures as retryable', () => {
+    expect(new TurbodocError('NETWORK_ERROR').retryable).toBe(true);
+    expect(new TurbodocError('TIMEOUT').retryable).toBe(true);
+    expect(new TurbodocError('SERVER_ERROR').retryable).toBe(true);
+    expect(new TurbodocError('RATE_LIMITED').retryable).toBe(true);
+    expect(new TurbodocError('UNAUTHORIZED').retryable).toBe(false);
+    expect(new TurbodocError('BAD_REQUEST').retryable).toBe(false);
+  });
+
+  test('carries the Retry-After delay of rate limited responses', () => {
+    const error = TurbodocError.fromStatus(429, { retryAfter: 3000 });
+    expect(error.retryAfter).toBe(3000);
+  });
+
+  test('normalizes thrown values', () => {
+    const original = new TurbodocError('FORBIDDEN');
+    expect(TurbodocError.from(original)).toBe(original);
+
+    const abort = new Error('aborted');
+    abort.name = 'AbortError';
+    expect(TurbodocError.from(abort).code).toBe('TIMEOUT');
+
+    expect(TurbodocError.from(new TypeError('Failed to fetch')).code).toBe(
+      'NETWORK_ERROR',
+    );
+
+    const unknown = TurbodocError.from(new Error('Something broke'));
+    expect(unknown.code).toBe('UNKNOWN');
+    expect(unknown.message).toBe('Something broke');
+    expect(unknown.retryable).toBe(false);
+  });
+
+  test('serializes to a plain object for runtime messaging', () => {
+    const error = TurbodocError.fromStatus(500);
+    expect(JSON.parse(JSON.stringify(error))).toEqual({
+      name: 'TurbodocError',
+      code: 'SERVER_ERROR',
+      status: 500,
+      retryable: true,
+      message: 'Server error. Please try again later',
+    });
+  });
+});
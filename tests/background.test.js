@@ -0,0 +1,171 @@
+/**
+ * TurbodocBackground tests
+ */
+
+/**
+ * Stand-in for extension APIs the worker touches while it starts up
+ * Any property is another stub and calling one resolves to undefined
+ */
+function createStub() {
+  const target = () => Promise.resolve();
+  return new Proxy(target, {
+    get: (stub, property) => {
+      if (property === 'then') {
+        return undefined;
+      }
+      if (!(property in stub)) {
+        stub[property] = createStub();
+      }
+      return stub[property];
+    },
+  });
+}
+
+global.importScripts = jest.fn();
+global.browserCompat = createStub();
+global.TurbodocAPI = function TurbodocAPI() {
+  return createStub();
+};
+global.StorageManager = function StorageManager() {
+  return createStub();
+};
+
+jest.spyOn(console, 'log').mockImplementation(() => {});
+jest.spyOn(console, 'warn').mockImplementation(() => {});
+jest.spyOn(console, 'error').mockImplementation(() => {});
+
+const TurbodocBackground = require('../shared/background/background');
+
+/**
+ * Build a worker with the given preferences, without starting it
+ */
+function createBackground(preferences = { showNotifications: true }) {
+  const background = Object.create(TurbodocBackground.prototype);
+  background.storage = {
+    getPreferences: jest
+      .fn()
+      .mockResolvedValue({ success: true, data: preferences }),
+  };
+  return background;
+}
+
+beforeEach(() => {
+  browserCompat.notifications = {
+    create: jest.fn().mockResolvedValue('notification-id'),
+  };
+  browserCompat.runtime.getURL = jest.fn((path) => `extension://id/${path}`);
+});
+
+describe('showNotification', () => {
+  test('shows a notification when notifications are enabled', async () => {
+    const background = createBackground();
+
+    await background.showNotification('Bookmark Saved!', 'Saved to Turbodoc');
+
+    expect(browserCompat.notifications.create).toHaveBeenCalledWith({
+      type: 'basic',
+      iconUrl: 'extension://id/icons/icon-48.png',
+      title: 'Bookmark Saved!',
+      message: 'Saved to Turbodoc',
+    });
+  });
+
+  test('shows nothing when the preference is turned off', async () => {
+    const background = createBackground({ showNotifications: false });
+
+    await background.showNotification('Bookmark Saved!', 'Saved to Turbodoc');
+
+    expect(browserCompat.notifications.create).not.toHaveBeenCalled();
+  });
+
+  test('does not throw when the notification cannot be shown', async () => {
+    const background = createBackground();
+    browserCompat.notifications.create.mockRejectedValue(new Error('Denied'));
+
+    await expect(
+      background.showNotification('Title', 'Message'),
+    ).resolves.toBeUndefined();
+  });
+});
+
+describe('handleContextMenuClick', () => {
+  test('reports a failed tab lookup instead of rejecting', async () => {
+    const background = createBackground();
+    background.showNotification = jest.fn().mockResolvedValue();
+    browserCompat.tabs.query = jest
+      .fn()
+      .mockRejectedValue(new Error('No window with id: 7'));
+
+    await expect(
+      background.handleContextMenuClick(
+        { menuItemId: 'save-window-tabs' },
+        { windowId: 7 },
+      ),
+    ).resolves.toBeUndefined();
+    expect(background.showNotification).toHaveBeenCalledWith(
+      'Error',
+      'Failed to save tabs',
+    );
+  });
+
+  test('reports a tab group that no longer exists', async () => {
+    const background = createBackground();
+    background.showNotification = jest.fn().mockResolvedValue();
+    browserCompat.tabGroups.get = jest
+      .fn()
+      .mockRejectedValue(new Error('No group with id: 3'));
+
+    await background.handleContextMenuClick(
+      { menuItemId: 'save-tab-group' },
+      { groupId: 3 },
+    );
+
+    expect(background.showNotification).toHaveBeenCalledWith(
+      'Error',
+      'Failed to save tabs',
+    );
+  });
+});
+
+describe('saveTabs', () => {
+  test('reports partial failures in the summary notification', async () => {
+    const background = createBackground();
+    background.showNotification = jest.fn().mockResolvedValue();
+    background.updateBadge = jest.fn().mockResolvedValue();
+    background.storage.addToOfflineQueue = jest.fn().mockResolvedValue({});
+    background.api = {
+      isAuthenticated: () => true,
+      createBookmarks: jest.fn((bookmarks) =>
+        Promise.resolve({
+          success: false,
+          data: bookmarks.map((bookmark, i) => ({
+            success: i === 0,
+            error: i === 0 ? null : { retryable: i === 1, message: 'Nope' },
+            bookmark,
+            idempotencyKey: `key-${i}`,
+          })),
+        }),
+      ),
+    };
+
+    const summary = await background.saveTabs([
+      { url: 'https://a.com', title: 'A' },
+      { url: 'https://b.com', title: 'B' },
+      { url: 'https://c.com', title: 'C' },
+      { url: 'chrome://settings', title: 'Settings' },
+    ]);
+
+    expect(summary).toMatchObject({
+      total: 3,
+      saved: 1,
+      queued: 1,
+      failed: 1,
+      skipped: 1,
+    });
+    expect(background.storage.addToOfflineQueue).toHaveBeenCalledTimes(1);
+    expect(background.showNotification).toHaveBeenCalledWith(
+      'Some Tabs Were Not Saved',
+      '1 of 3 tabs saved, 1 queued offline, 1 failed, 1 skipped',
+    );
+  });
+});
@@ -0,0 +1,75 @@
+/**
+ * BookmarkImporter tests
+ */
+
+const BookmarkImporter = require('../shared/lib/bookmark-importer');
+
+describe('prepare', () => {
+  const importer = new BookmarkImporter(null, null);
+
+  test('skips unsupported, repeated and already saved URLs', () => {
+    const { items, skipped } = importer.prepare(
+      [
+        { title: 'New', url: 'https://a.com', tags: ['x, y', 'x  y'] },
+        { title: 'Again', url: 'https://a.com/' },
+        { title: 'Script', url: 'javascript:void(0)' },
+        { title: 'Saved', url: 'https://saved.com' },
+      ],
+      new Set(['https://saved.com/']),
+    );
+
+    expect(items).toEqual([
+      {
+        id: expect.any(String),
+        title: 'New',
+        url: 'https://a.com/',
+        tags: ['x y'],
+        status: null,
+        createdAt: null,
+      },
+    ]);
+    expect(skipped.map(({ title, reason }) => [title, reason])).toEqual([
+      ['Again', 'Duplicate URL'],
+      ['Script', 'Unsupported URL'],
+      ['Saved', 'Already saved'],
+    ]);
+  });
+});
+
+describe('fetchSavedUrls', () => {
+  test('collects normalized URLs from every page', async () => {
+    const api = {
+      listBookmarks: jest
+        .fn()
+        .mockResolvedValueOnce({
+          success: true,
+          data: [{ url: 'https://a.com' }, { url: 'not a url' }],
+          nextCursor: 'next',
+        })
+        .mockResolvedValueOnce({
+          success: true,
+          data: [{ url: 'https://b.com/path' }],
+          nextCursor: null,
+        }),
+    };
+    const importer = new BookmarkImporter(api, null);
+
+    const result = await importer.fetchSavedUrls();
+
+    expect(result.success).toBe(true);
+    expect([...result.data]).toEqual(['https://a.com/', 'https://b.com/path']);
+    expect(api.listBookmarks).toHaveBeenLastCalledWith({
+      cursor: 'next',
+      limit: importer.PAGE_SIZE,
+    });
+  });
+
+  test('passes on a failed page', async () => {
+    const failure = { success: false, error: { code: 'NETWORK_ERROR' } };
+    const api = { listBookmarks: jest.fn().mockResolvedValue(failure) };
+
+    await expect(
+      new BookmarkImporter(api, null).fetchSavedUrls(),
+    ).resolves.toBe(failure);
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * BookmarkFileParser tests
+ * @jest-environment jsdom
+ */
+
+const BookmarkFileParser = require('../shared/lib/bookmark-parsers');
+
+const parser = new BookmarkFileParser();
+
+describe('detectFormat', () => {
+  test('recognizes each supported export', () => {
+    expect(
+      parser.detectFormat(
+        'bookmarks.html',
+        '<!DOCTYPE NETSCAPE-Bookmark-file-1>',
+      ),
+    ).toBe('netscape');
+    expect(
+      parser.detectFormat(
+        'ril_export.html',
+        '<html><title>Pocket Export</title><h1>Unread</h1></html>',
+      ),
+    ).toBe('pocketHtml');
+    expect(
+      parser.detectFormat(
+        'part_000000.csv',
+        'title,url,time_added,tags,status',
+      ),
+    ).toBe('pocketCsv');
+    expect(
+      parser.detectFormat(
+        'raindrop.csv',
+        'id,title,note,url,folder,tags,created',
+      ),
+    ).toBe('raindrop');
+    expect(parser.detectFormat('pinboard.json', '[{"href":"x"}]')).toBe(
+      'pinboard',
+    );
+  });
+
+  test('rejects files it does not know', () => {
+    const result = parser.parse('notes.txt', 'just some text');
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Unrecognized file/);
+  });
+
+  test('ignores a byte order mark', () => {
+    const result = parser.parse('export.json', '\uFEFF[]');
+
+    expect(result.success).toBe(true);
+    expect(result.data.format).toBe('pinboard');
+  });
+});
+
+describe('parseCsv', () => {
+  test('handles quoted commas, quotes and line breaks', () => {
+    const { records, errors } = parser.parseCsv(
+      'title,url\r\n"Hello, ""world""",https://a.com\n"Two\nlines",https://b.com\n',
+    );
+
+    expect(errors).toEqual([]);
+    expect(records).toEqual([
+      { line: 1, fields: ['title', 'url'] },
+      { line: 2, fields: ['Hello, "world"', 'https://a.com'] },
+      { line: 3, fields: ['Two\nlines', 'https://b.com'] },
+    ]);
+  });
+
+  test('skips blank lines and keeps a last line without a newline', () => {
+    const { records } = parser.parseCsv('a,b\n\n1,2');
+
+    expect(records.map((record) => record.fields)).toEqual([
+      ['a', 'b'],
+      ['1', '2'],
+    ]);
+    expect(records[1].line).toBe(3);
+  });
+
+  test('reports an unclosed quote instead of reading the rest', () => {
+    const { records, errors } = parser.parseCsv('a,b\n1,"open\n2,3\n');
+
+    expect(records).toHaveLength(1);
+    expect(errors).toEqual([
+      { row: 2, message: 'Unclosed quote; the rest of the file was skipped' },
+    ]);
+  });
+});
+
+describe('CSV exports', () => {
+  test('reads Pocket CSV with statuses, pipe tags and timestamps', () => {
+    const { entries, errors } = parser.parsePocketCsv(
+      [
+        'title,url,time_added,tags,status',
+        'One,https://a.com,1700000000,dev|reading,unread',
+        'Two,https://b.com,,,archive',
+        'Missing,,1700000000,,unread',
+      ].join('\n'),
+    );
+
+    expect(entries).toEqual([
+      {
+        row: 2,
+        title: 'One',
+        url: 'https://a.com',
+        tags: ['dev', 'reading'],
+        status: 'unread',
+        createdAt: 1700000000000,
+      },
+      {
+        row: 3,
+        title: 'Two',
+        url: 'https://b.com',
+        tags: [],
+        status: 'read',
+        createdAt: null,
+      },
+    ]);
+    expect(errors).toEqual([{ row: 4, message: 'Missing URL' }]);
+  });
+
+  test('drops timestamps that are out of the Date range', () => {
+    const { entries } = parser.parsePocketCsv(
+      [
+        'title,url,time_added,tags,status',
+        'One,https://a.com,1700000000000000,,unread',
+      ].join('\n'),
+    );
+
+    expect(entries[0].createdAt).toBeNull();
+  });
+
+  test('reads Raindrop CSV folders as tags, except Unsorted', () => {
+    const { entries } = parser.parseRaindropCsv(
+      [
+        'id,title,note,excerpt,url,folder,tags,created',
+        '1,One,,,https://a.com,Work/Research,"ai, papers",2024-01-02T03:04:05.000Z',
+        '2,Two,,,https://b.com,Unsorted,,not a date',
+      ].join('\n'),
+    );
+
+    expect(entries[0].tags).toEqual(['Work', 'Research', 'ai', 'papers']);
+    expect(entries[0].createdAt).toBe(Date.UTC(2024, 0, 2, 3, 4, 5));
+    expect(entries[1].tags).toEqual([]);
+    expect(entries[1].createdAt).toBeNull();
+  });
+
+  test('reports an empty file', () => {
+    expect(parser.parsePocketCsv('').errors).toEqual([
+      { row: null, message: 'The file is empty' },
+    ]);
+  });
+});
+
+describe('parsePinboardJson', () => {
+  test('reads posts with space separated tags and the to-read flag', () => {
+    const { entries, errors } = parser.parsePinboardJson(
+      JSON.stringify([
+        {
+          href: 'https://a.com',
+          description: 'One',
+          tags: 'dev tools',
+          toread: 'yes',
+          time: '2024-01-02T03:04:05Z',
+        },
+        { href: 'https://b.com', description: 'Two', toread: 'no' },
+        { description: 'No link' },
+      ]),
+    );
+
+    expect(entries).toEqual([
+      {
+        row: 1,
+        title: 'One',
+        url: 'https://a.com',
+        tags: ['dev', 'tools'],
+        status: 'unread',
+        createdAt: Date.UTC(2024, 0, 2, 3, 4, 5),
+      },
+      {
+        row: 2,
+        title: 'Two',
+        url: 'https://b.com',
+        tags: [],
+        status: 'read',
+        createdAt: null,
+      },
+    ]);
+    expect(errors).toEqual([{ row: 3, message: 'Missing URL' }]);
+  });
+
+  test('reports invalid JSON and unexpected shapes', () => {
+    expect(parser.parsePinboardJson('[{').errors).toEqual([
+      { row: null, message: 'The file is not valid JSON' },
+    ]);
+    expect(parser.parsePinboardJson('{"href":"x"}').errors).toEqual([
+      { row: null, message: 'Expected a list of bookmarks' },
+    ]);
+  });
+});
+
+describe('HTML exports', () => {
+  test('reads Netscape folders and TAGS as tags', () => {
+    const { entries, errors } = parser.parseNetscapeHtml(`
+      <!DOCTYPE NETSCAPE-Bookmark-file-1>
+      <DL><p>
+        <DT><H3 PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+        <DL><p>
+          <DT><H3>Work</H3>
+          <DL><p>
+            <DT><H3>Docs</H3>
+            <DL><p>
+              <DT><A HREF="https://a.com" ADD_DATE="1700000000" TAGS="ref">A</A>
+            </DL><p>
+          </DL><p>
+          <DT><A HREF="https://b.com" TOREAD="1">B</A>
+        </DL><p>
+        <DT><A>No link</A>
+      </DL><p>
+    `);
+
+    expect(entries).toEqual([
+      {
+        row: 1,
+        title: 'A',
+        url: 'https://a.com',
+        tags: ['Work', 'Docs', 'ref'],
+        status: null,
+        createdAt: 1700000000000,
+      },
+      {
+        row: 2,
+        title: 'B',
+        url: 'https://b.com',
+        tags: [],
+        status: 'unread',
+        createdAt: null,
+      },
+    ]);
+    expect(errors).toEqual([{ row: 3, message: 'Missing URL' }]);
+  });
+
+  test('reads Pocket HTML sections as statuses', () => {
+    const { entries } = parser.parsePocketHtml(`
+      <html><title>Pocket Export</title><body>
+        <h1>Unread</h1>
+        <ul><li><a href="https://a.com" time_added="1700000000" tags="x,y">A</a></li></ul>
+        <h1>Read Archive</h1>
+        <ul><li><a href="https://b.com">B</a></li></ul>
+      </body></html>
+    `);
+
+    expect(
+      entries.map(({ url, status, tags }) => ({ url, status, tags })),
+    ).toEqual([
+      { url: 'https://a.com', status: 'unread', tags: ['x', 'y'] },
+      { url: 'https://b.com', status: 'read', tags: [] },
+    ]);
+  });
+});
@@ -0,0 +1,315 @@
+/**
+ * TurbodocExporter tests
+ */
+
+const { TurbodocError } = require('../shared/lib/api-client');
+
+global.TurbodocError = TurbodocError;
+
+const TurbodocExporter = require('../shared/lib/exporter');
+
+/**
+ * API stand-in that serves list results a page at a time
+ */
+function createApi({ bookmarks = [], notes = [], pageSize = 2 } = {}) {
+  const page = (items, cursor) => {
+    const start = Number(cursor || 0);
+    const end = start + pageSize;
+    return Promise.resolve({
+      success: true,
+      data: items.slice(start, end),
+      nextCursor: end < items.length ? String(end) : null,
+    });
+  };
+
+  return {
+    listBookmarks: jest.fn(({ cursor }) => page(bookmarks, cursor)),
+    listNotes: jest.fn(({ cursor }) =>
+      page(
+        notes.map(({ id, title }) => ({ id, title })),
+        cursor,
+      ),
+    ),
+    getNote: jest.fn((id) =>
+      Promise.resolve({
+        success: true,
+        data: notes.find((note) => note.id === id),
+      }),
+    ),
+  };
+}
+
+function createExporter(options) {
+  const exporter = new TurbodocExporter(createApi(options));
+  exporter.sleep = jest.fn().mockResolvedValue();
+  return exporter;
+}
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Read the entries of a stored (uncompressed) zip archive
+ */
+function readZip(zip) {
+  const view = new DataView(zip.buffer, zip.byteOffset, zip.byteLength);
+  const decoder = new TextDecoder();
+  const end = zip.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+
+  const count = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  const files = [];
+
+  for (let i = 0; i < count; i++) {
+    expect(view.getUint32(offset, true)).toBe(0x02014b50);
+    const crc = view.getUint32(offset + 16, true);
+    const size = view.getUint32(offset + 24, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(
+      zip.subarray(offset + 46, offset + 46 + nameLength),
+    );
+
+    expect(view.getUint32(localOffset, true)).toBe(0x04034b50);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true);
+    const data = zip.subarray(dataStart, dataStart + size);
+
+    files.push({ name, crc, content: decoder.decode(data) });
+    offset += 46 + nameLength;
+  }
+
+  return files;
+}
+
+describe('export', () => {
+  const bookmarks = [
+    { title: 'A', url: 'https://a.com', tags: 'dev|reading', status: 'unread' },
+    { title: 'B', url: 'https://b.com', tags: ['dev'] },
+    { title: 'C', url: 'https://c.com', tags: '' },
+  ];
+
+  test('fetches every page of bookmarks and reports progress', async () => {
+    const exporter = createExporter({ bookmarks });
+    const onProgress = jest.fn();
+
+    const result = await exporter.export('json', onProgress);
+
+    expect(result.success).toBe(true);
+    expect(result.data.count).toBe(3);
+    expect(result.data.mimeType).toBe('application/json');
+    expect(result.data.filename).toMatch(
+      /^turbodoc-bookmarks-\d{4}-\d{2}-\d{2}\.json$/,
+    );
+    expect(JSON.parse(result.data.content).map((b) => b.url)).toEqual([
+      'https://a.com',
+      'https://b.com',
+      'https://c.com',
+    ]);
+    expect(onProgress).toHaveBeenLastCalledWith(3);
+    expect(exporter.api.listBookmarks).toHaveBeenCalledTimes(2);
+  });
+
+  test('stops when the API repeats a cursor', async () => {
+    const exporter = createExporter();
+    exporter.api.listBookmarks = jest
+      .fn()
+      .mockResolvedValue({ success: true, data: [], nextCursor: 'same' });
+
+    const result = await exporter.export('csv');
+
+    expect(result.success).toBe(true);
+    expect(exporter.api.listBookmarks).toHaveBeenCalledTimes(2);
+  });
+
+  test('passes on a failed page', async () => {
+    const exporter = createExporter();
+    const error = new TurbodocError('NETWORK_ERROR');
+    exporter.api.listBookmarks = jest
+      .fn()
+      .mockResolvedValue({ success: false, error });
+
+    await expect(exporter.export('html')).resolves.toEqual({
+      success: false,
+      error,
+    });
+  });
+
+  test('rejects unknown formats', async () => {
+    const result = await createExporter().export('xml');
+
+    expect(result.success).toBe(false);
+    expect(result.error.message).toBe('Unknown export format "xml"');
+  });
+
+  test('zips notes as Markdown files with their full content', async () => {
+    const exporter = createExporter({
+      notes: [
+        { id: 1, title: 'Plans', content: 'Full text' },
+        { id: 2, title: 'plans', content: 'Other' },
+        { id: 3, title: 'a/b: c?', content: '' },
+      ],
+    });
+
+    const result = await exporter.export('markdown');
+    const files = readZip(result.data.content);
+
+    expect(result.data.filename).toMatch(/^turbodoc-notes-.*\.zip$/);
+    expect(result.data.count).toBe(3);
+    expect(files.map((file) => file.name)).toEqual([
+      'Plans.md',
+      'plans-2.md',
+      'a b c.md',
+    ]);
+    expect(files[0].content).toBe('# Plans\n\nFull text\n');
+    expect(exporter.api.getNote).toHaveBeenCalledTimes(3);
+  });
+
+  test('falls back to the listed note when fetching one fails', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const exporter = createExporter({
+      notes: [
+        { id: 1, title: 'One', content: 'First' },
+        { id: 2, title: 'Two', content: 'Second' },
+      ],
+    });
+    exporter.api.getNote.mockResolvedValueOnce({
+      success: false,
+      error: new TurbodocError('NETWORK_ERROR'),
+    });
+
+    const result = await exporter.export('markdown');
+    const files = readZip(result.data.content);
+
+    expect(result.success).toBe(true);
+    expect(result.data.count).toBe(2);
+    expect(files.map((file) => file.content)).toEqual([
+      '# One\n\n\n',
+      '# Two\n\nSecond\n',
+    ]);
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('normalizeBookmark', () => {
+  const exporter = createExporter();
+
+  test('splits stored tags and formats the date', () => {
+    expect(
+      exporter.normalizeBookmark({
+        url: 'https://a.com',
+        tags: ' dev | reading,',
+        created_at: '2024-01-02T03:04:05Z',
+      }),
+    ).toEqual({
+      title: 'https://a.com',
+      url: 'https://a.com',
+      tags: ['dev', 'reading'],
+      status: null,
+      createdAt: '2024-01-02T03:04:05.000Z',
+    });
+  });
+
+  test('drops a missing or invalid date instead of failing', () => {
+    expect(exporter.normalizeBookmark({ url: 'x' }).createdAt).toBeNull();
+    expect(
+      exporter.normalizeBookmark({ url: 'x', createdAt: 'yesterday' })
+        .createdAt,
+    ).toBeNull();
+  });
+});
+
+describe('file builders', () => {
+  const exporter = createExporter();
+
+  test('builds CSV with escaped fields and CRLF line endings', () => {
+    const csv = exporter.toCsv([
+      {
+        title: 'Say "hi", then\nleave',
+        url: 'https://a.com',
+        tags: ['a', 'b'],
+        status: 'read',
+        createdAt: '2024-01-02T00:00:00.000Z',
+      },
+    ]);
+
+    expect(csv).toBe(
+      'title,url,tags,status,created\r\n' +
+        '"Say ""hi"", then\nleave",https://a.com,"a, b",read,2024-01-02T00:00:00.000Z\r\n',
+    );
+  });
+
+  test('escapes only fields that need quoting', () => {
+    expect(exporter.escapeCsv('plain')).toBe('plain');
+    expect(exporter.escapeCsv('a,b')).toBe('"a,b"');
+    expect(exporter.escapeCsv('line\r\nbreak')).toBe('"line\r\nbreak"');
+  });
+
+  test('builds bookmark HTML with a folder per tag', () => {
+    const html = exporter.toNetscapeHtml([
+      {
+        title: 'A & <B>',
+        url: 'https://a.com/?q="x"',
+        tags: ['zeta', 'alpha'],
+        createdAt: '2024-01-02T00:00:00.000Z',
+      },
+      { title: 'Loose', url: 'https://c.com', tags: [], createdAt: null },
+    ]);
+    const lines = html.split('\n');
+
+    expect(lines[0]).toBe('<!DOCTYPE NETSCAPE-Bookmark-file-1>');
+    expect(lines.indexOf('    <DT><H3>alpha</H3>')).toBeLessThan(
+      lines.indexOf('    <DT><H3>zeta</H3>'),
+    );
+    expect(
+      lines.filter((line) =>
+        line.includes('HREF="https://a.com/?q=&quot;x&quot;"'),
+      ),
+    ).toHaveLength(2);
+    expect(html).toContain(
+      '        <DT><A HREF="https://a.com/?q=&quot;x&quot;" ADD_DATE="1704153600" TAGS="zeta,alpha">A &amp; &lt;B&gt;</A>',
+    );
+    expect(html).toContain('    <DT><A HREF="https://c.com">Loose</A>');
+  });
+
+  test('makes note titles safe as file names', () => {
+    expect(exporter.toFileName('..hidden')).toBe('hidden');
+    expect(exporter.toFileName('tab\there')).toBe('tab here');
+    expect(exporter.toFileName('???')).toBe('Untitled note');
+    expect(exporter.toFileName('x'.repeat(100))).toHaveLength(80);
+  });
+});
+
+describe('createZip', () => {
+  const exporter = createExporter();
+
+  test('computes the standard CRC-32', () => {
+    const bytes = new TextEncoder().encode('123456789');
+    expect(exporter.crc32(bytes)).toBe(0xcbf43926);
+  });
+
+  test('stores UTF-8 names and contents that read back intact', () => {
+    const zip = exporter.createZip([
+      { name: 'café.md', content: '# Café\n' },
+      { name: 'empty.md', content: '' },
+    ]);
+    const files = readZip(zip);
+
+    expect(files).toEqual([
+      {
+        name: 'café.md',
+        crc: exporter.crc32(new TextEncoder().encode('# Café\n')),
+        content: '# Café\n',
+      },
+      { name: 'empty.md', crc: 0, content: '' },
+    ]);
+  });
+
+  test('builds a valid empty archive', () => {
+    const zip = exporter.createZip([]);
+
+    expect(zip).toHaveLength(22);
+    expect(readZip(zip)).toEqual([]);
+  });
+});
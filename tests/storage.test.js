@@ -0,0 +1,206 @@
+/**
+ * StorageManager tests
+ */
+
+const StorageManager = require('../shared/lib/storage');
+
+/**
+ * In-memory stand-in for a browserCompat storage area
+ * Values are cloned on the way in and out, as the extension storage does
+ */
+function createStorageArea(initial = {}) {
+  const data = structuredClone(initial);
+
+  return {
+    data,
+    get: jest.fn((keys) => {
+      if (keys === null) {
+        return Promise.resolve(structuredClone(data));
+      }
+      const result = {};
+      for (const key of Array.isArray(keys) ? keys : [keys]) {
+        if (key in data) {
+          result[key] = structuredClone(data[key]);
+        }
+      }
+      return Promise.resolve(result);
+    }),
+    set: jest.fn((items) => {
+      Object.assign(data, structuredClone(items));
+      return Promise.resolve();
+    }),
+    remove: jest.fn((keys) => {
+      for (const key of Array.isArray(keys) ? keys : [keys]) {
+        delete data[key];
+      }
+      return Promise.resolve();
+    }),
+  };
+}
+
+function createStorage(initial) {
+  const local = createStorageArea(initial);
+  const manager = new StorageManager({ storage: { local } });
+  return { manager, local };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('runMigrations', () => {
+  test('upgrades data written before the schema was versioned', async () => {
+    const { manager, local } = createStorage({
+      undefined: { token: 'old' },
+      turbodoc_offline_queue: [
+        { id: 1, title: 'Old bookmark', url: 'https://a.com', queuedAt: 10 },
+        { title: 'Old note', content: 'Text' },
+        null,
+        'garbage',
+      ],
+      turbodoc_preferences: { theme: 'dark' },
+    });
+
+    const result = await manager.runMigrations();
+
+    expect(result).toEqual({ success: true, data: { from: 0, to: 3 } });
+    expect(local.data).not.toHaveProperty('undefined');
+    expect(local.data.turbodoc_schema_version).toBe(3);
+
+    const [bookmark, note] = local.data.turbodoc_offline_queue;
+    expect(local.data.turbodoc_offline_queue).toHaveLength(2);
+    expect(bookmark).toEqual({
+      id: 1,
+      kind: 'bookmark',
+      payload: { title: 'Old bookmark', url: 'https://a.com' },
+      queuedAt: 10,
+    });
+    expect(note.kind).toBe('note');
+    expect(note.payload).toEqual({ title: 'Old note', content: 'Text' });
+    expect(typeof note.id).toBe('string');
+    expect(note.queuedAt).toEqual(expect.any(Number));
+    expect(local.data.turbodoc_dead_letter_queue).toEqual([]);
+
+    expect(local.data.turbodoc_preferences).toEqual({
+      ...manager.getDefaultPreferences(),
+      theme: 'dark',
+    });
+  });
+
+  test('does nothing once storage is up to date', async () => {
+    const { manager, local } = createStorage({ turbodoc_schema_version: 3 });
+
+    const result = await manager.runMigrations();
+
+    expect(result.data).toEqual({ from: 3, to: 3 });
+    expect(local.set).not.toHaveBeenCalled();
+    expect(local.remove).not.toHaveBeenCalled();
+  });
+
+  test('resumes after the last completed migration', async () => {
+    const queue = [{ id: 'kept', kind: 'bookmark', payload: {}, extra: 1 }];
+    const { manager, local } = createStorage({
+      turbodoc_schema_version: 2,
+      turbodoc_offline_queue: queue,
+      turbodoc_preferences: 'corrupt',
+    });
+
+    const result = await manager.runMigrations();
+
+    expect(result.data).toEqual({ from: 2, to: 3 });
+    expect(local.data.turbodoc_offline_queue).toEqual(queue);
+    expect(local.data).not.toHaveProperty('turbodoc_preferences');
+    expect(local.data.turbodoc_schema_version).toBe(3);
+  });
+
+  test('keeps the version of the last migration that finished', async () => {
+    const { manager, local } = createStorage({});
+    const set = local.set.getMockImplementation();
+    local.set
+      .mockImplementationOnce(set)
+      .mockRejectedValueOnce(new Error('Quota exceeded'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await manager.runMigrations();
+
+    expect(result.success).toBe(false);
+    expect(local.data.turbodoc_schema_version).toBe(1);
+  });
+});
+
+describe('offline queue items being sent', () => {
+  const queued = {
+    id: 'item-1',
+    kind: 'bookmark',
+    payload: { title: 'Draft', url: 'https://a.com' },
+    queuedAt: 1,
+  };
+
+  test('returns the stored copy when an item is marked as sending', async () => {
+    const { manager } = createStorage({ turbodoc_offline_queue: [queued] });
+    await manager.updateOfflineQueueItem('item-1', { title: 'Edited' });
+
+    const claim = await manager.setOfflineQueueItemSending('item-1');
+
+    expect(claim.success).toBe(true);
+    expect(claim.data.payload.title).toBe('Edited');
+    expect(manager.isOfflineQueueItemSending(claim.data)).toBe(true);
+  });
+
+  test('returns null for an item that left the queue', async () => {
+    const { manager } = createStorage({ turbodoc_offline_queue: [] });
+
+    const claim = await manager.setOfflineQueueItemSending('item-1');
+
+    expect(claim).toEqual({ success: true, data: null });
+  });
+
+  test('refuses edits while the item is being sent', async () => {
+    const { manager, local } = createStorage({
+      turbodoc_offline_queue: [queued],
+    });
+    await manager.setOfflineQueueItemSending('item-1');
+
+    const result = await manager.updateOfflineQueueItem('item-1', {
+      title: 'Too late',
+    });
+
+    expect(result.success).toBe(false);
+    expect(local.data.turbodoc_offline_queue[0].payload.title).toBe('Draft');
+  });
+
+  test('allows edits again once the send mark is cleared', async () => {
+    const { manager } = createStorage({ turbodoc_offline_queue: [queued] });
+    await manager.setOfflineQueueItemSending('item-1');
+    await manager.setOfflineQueueItemSending('item-1', false);
+
+    const result = await manager.updateOfflineQueueItem('item-1', {
+      title: 'Edited',
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.payload.title).toBe('Edited');
+  });
+
+  test('clears the send mark when a failed attempt is recorded', async () => {
+    const { manager, local } = createStorage({
+      turbodoc_offline_queue: [queued],
+    });
+    await manager.setOfflineQueueItemSending('item-1');
+
+    await manager.recordOfflineQueueFailure('item-1', { retryable: true });
+
+    expect(local.data.turbodoc_offline_queue[0].sendingAt).toBeNull();
+  });
+
+  test('treats an abandoned send mark as expired', () => {
+    const { manager } = createStorage();
+    const sendingAt = Date.now() - manager.QUEUE_RETRY.sendingTimeout - 1;
+
+    expect(manager.isOfflineQueueItemSending({ sendingAt })).toBe(false);
+  });
+});